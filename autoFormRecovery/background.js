@@ -1,28 +1,303 @@
 /*
  (c) 2025 SC5K Systems
  background.js
- handles message routing and periodic cleanup for auto form recovery
+ handles message routing and periodic cleanup for auto form recovery, and keeps drafts within the storage budget
+ by evicting the least recently used ones. offers form commands (save, restore, forget, never save a field) from the
+ context menu and keyboard shortcuts, and shows each tab's status (forms monitored, drafts, sites turned off) on the
+ toolbar badge. remembers tabs closed (or lost to a crash) while their forms held unsubmitted drafts, so the popup can
+ reopen them. also owns optional draft encryption: drafts are sealed to a P‑256 public key kept in storage.local;
+ the matching private key is wrapped with a key derived from the user's passphrase and only held unwrapped (in memory
+ and storage.session) while the store is unlocked.
 */
 
-/* clear all form data from local storage */
+/* chrome runs this file as a service worker and loads shared code here; firefox lists it in manifest.json */
+if (typeof importScripts === 'function' && typeof AutoFormRecoveryRules === 'undefined') {
+  importScripts('rules.js', 'settings.js');
+}
+
+/* clear all form data and settings from local storage; the encryption record is kept so new drafts stay encrypted,
+   and the metadata record so the schema is not migrated again */
 function clearAllFormData(callback) {
-  chrome.storage.local.clear(() => {
-    if (callback) callback(true);
+  chrome.storage.local.get(null, items => {
+    const { ENCRYPTION_KEY, META_KEY } = AutoFormRecoverySettings;
+    const keys = Object.keys(items).filter(key => key !== ENCRYPTION_KEY && key !== META_KEY);
+    chrome.storage.local.remove(keys, () => {
+      if (callback) callback(true);
+    });
   });
 }
 
-/* remove expired entries using settings.retentionDays */
+/* pbkdf2 work factor for the passphrase */
+const PBKDF2_ITERATIONS = 310000;
+/* unwrapped private key while the store is unlocked */
+let unlockedPrivateKey = null;
+
+/* base64 helpers for storing binary values */
+function toBase64(buffer) {
+  let binary = '';
+  new Uint8Array(buffer).forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/* derive the aes key that wraps the private key from the passphrase */
+async function deriveWrappingKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/* aes‑gcm encrypt a json value */
+async function encryptJson(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+/* aes‑gcm decrypt a value produced by encryptJson; rejects if the key is wrong */
+async function decryptJson(key, sealed) {
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.data));
+  return JSON.parse(new TextDecoder().decode(data));
+}
+
+/* import the unwrapped private key from its jwk form */
+function importPrivateKey(jwk) {
+  return crypto.subtle.importKey('jwk', jwk, { name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveKey']);
+}
+
+/* create a key pair, wrap the private key with the passphrase and store the record; leaves the store unlocked.
+   an existing record is never replaced, since drafts sealed with its key could not be read again */
+async function setupEncryption(passphrase) {
+  const { encryption: existing } = await chrome.storage.local.get('encryption');
+  if (existing) throw new Error('encryption is already on');
+  const pair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveKey']);
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const wrappingKey = await deriveWrappingKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const privateJwk = await crypto.subtle.exportKey('jwk', pair.privateKey);
+  const encryption = {
+    version: 1,
+    salt: toBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    publicKey: await crypto.subtle.exportKey('jwk', pair.publicKey),
+    wrappedPrivateKey: await encryptJson(wrappingKey, privateJwk)
+  };
+  await chrome.storage.local.set({ encryption });
+  await rememberPrivateKey(privateJwk);
+  /* seal drafts that were stored in plaintext before */
+  const items = await chrome.storage.local.get(null);
+  const updates = {};
+  for (const [key, entry] of Object.entries(items)) {
+    if (!isDraftEntry(key, entry) || entry.encrypted) continue;
+    updates[key] = await sealEntry(encryption, entry);
+  }
+  await chrome.storage.local.set(updates);
+}
+
+/* keep the unwrapped key for this browser session so a restarted service worker stays unlocked */
+async function rememberPrivateKey(privateJwk) {
+  unlockedPrivateKey = await importPrivateKey(privateJwk);
+  if (chrome.storage.session) await chrome.storage.session.set({ privateKey: privateJwk });
+}
+
+/* unwrap the private key with the passphrase; rejects on a wrong passphrase */
+async function unlockEncryption(passphrase) {
+  const { encryption } = await chrome.storage.local.get('encryption');
+  if (!encryption) throw new Error('encryption is not enabled');
+  const wrappingKey = await deriveWrappingKey(passphrase, fromBase64(encryption.salt), encryption.iterations);
+  let privateJwk;
+  try {
+    privateJwk = await decryptJson(wrappingKey, encryption.wrappedPrivateKey);
+  } catch (err) {
+    throw new Error('wrong passphrase');
+  }
+  await rememberPrivateKey(privateJwk);
+  notifyTabs({ type: 'DRAFTS_UNLOCKED' });
+}
+
+/* forget the unwrapped private key */
+async function lockEncryption() {
+  unlockedPrivateKey = null;
+  if (chrome.storage.session) await chrome.storage.session.remove('privateKey');
+}
+
+/* the unwrapped private key, reloaded from storage.session after a service worker restart; null while locked */
+async function getPrivateKey() {
+  if (unlockedPrivateKey) return unlockedPrivateKey;
+  if (!chrome.storage.session) return null;
+  const { privateKey } = await chrome.storage.session.get('privateKey');
+  if (privateKey) unlockedPrivateKey = await importPrivateKey(privateKey);
+  return unlockedPrivateKey;
+}
+
+/* decrypt every draft back to plaintext and drop the key record; the store must be unlocked */
+async function disableEncryption() {
+  const privateKey = await getPrivateKey();
+  if (!privateKey) throw new Error('unlock the drafts first');
+  const items = await chrome.storage.local.get(null);
+  const updates = {};
+  for (const [key, entry] of Object.entries(items)) {
+    if (!isDraftEntry(key, entry) || !entry.encrypted) continue;
+    updates[key] = await openEntry(privateKey, entry);
+  }
+  await chrome.storage.local.set(updates);
+  await chrome.storage.local.remove('encryption');
+  await lockEncryption();
+}
+
+/* true for stored form entries (as opposed to settings, metadata and the encryption record) */
+function isDraftEntry(key, entry) {
+  return AutoFormRecoverySettings.isDraftKey(key) && !!entry && typeof entry === 'object';
+}
+
+/* encrypt a payload to the stored public key with a fresh ephemeral ecdh key */
+async function sealPayload(encryption, payload) {
+  const publicKey = await crypto.subtle.importKey('jwk', encryption.publicKey, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+  const ephemeral = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveKey']);
+  const key = await crypto.subtle.deriveKey({ name: 'ECDH', public: publicKey }, ephemeral.privateKey, { name: 'AES-GCM', length: 256 }, false, ['encrypt']);
+  const sealed = await encryptJson(key, payload);
+  sealed.epk = await crypto.subtle.exportKey('jwk', ephemeral.publicKey);
+  return sealed;
+}
+
+/* decrypt a payload produced by sealPayload */
+async function openPayload(privateKey, sealed) {
+  const epk = await crypto.subtle.importKey('jwk', sealed.epk, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+  const key = await crypto.subtle.deriveKey({ name: 'ECDH', public: epk }, privateKey, { name: 'AES-GCM', length: 256 }, false, ['decrypt']);
+  return decryptJson(key, sealed);
+}
+
+/* turn a plaintext entry into its stored encrypted form; timestamps stay readable for purging and counting */
+async function sealEntry(encryption, entry) {
+  const sealed = { timestamp: entry.timestamp, encrypted: await sealPayload(encryption, { data: entry.data, history: entry.history }) };
+  if (entry.submittedAt) sealed.submittedAt = entry.submittedAt;
+  if (entry.retentionDays) sealed.retentionDays = entry.retentionDays;
+  return sealed;
+}
+
+/* turn a stored encrypted entry back into a plaintext one. drafts saved while locked could not read the older
+   history, so it was kept aside in "earlier" and is merged back here */
+async function openEntry(privateKey, entry) {
+  const payload = await openPayload(privateKey, entry.encrypted);
+  const earlier = entry.earlier ? await openPayload(privateKey, entry.earlier) : null;
+  const history = ((earlier && earlier.history) || []).concat(payload.history || []);
+  const opened = { data: payload.data, timestamp: entry.timestamp, history };
+  if (entry.submittedAt) opened.submittedAt = entry.submittedAt;
+  if (entry.retentionDays) opened.retentionDays = entry.retentionDays;
+  return opened;
+}
+
+/* tell the content scripts of every tab about a change */
+function notifyTabs(message) {
+  chrome.tabs.query({}, tabs => {
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, message, () => void chrome.runtime.lastError);
+    });
+  });
+}
+
+/* return true if a message comes from one of the extension's own pages (popup, options, manager) rather than from a
+   content script running in a web page */
+function isExtensionPage(sender) {
+  return sender.id === chrome.runtime.id && (!sender.tab || (sender.url || '').startsWith(chrome.runtime.getURL('')));
+}
+
+/* answer encryption requests from the popup, options page and content scripts; replies with { error } on failure.
+   backups use their own passphrase and salt, independent of the draft key pair. only extension pages may manage
+   encryption and backups; a content script may seal drafts and open those of its own origin, which are read from
+   storage rather than taken from the message */
+async function handleEncryptionMessage(message, sender) {
+  const fromPage = isExtensionPage(sender);
+  if (!fromPage && /^(ENCRYPTION_|BACKUP_)/.test(message.type)) throw new Error('not allowed');
+  switch (message.type) {
+    case 'ENCRYPTION_STATUS': {
+      const { encryption } = await chrome.storage.local.get('encryption');
+      return { enabled: !!encryption, unlocked: !!encryption && !!(await getPrivateKey()) };
+    }
+    case 'ENCRYPTION_SETUP':
+      await setupEncryption(message.passphrase);
+      return { success: true };
+    case 'ENCRYPTION_UNLOCK':
+      await unlockEncryption(message.passphrase);
+      return { success: true };
+    case 'ENCRYPTION_LOCK':
+      await lockEncryption();
+      return { success: true };
+    case 'ENCRYPTION_DISABLE':
+      await disableEncryption();
+      return { success: true };
+    case 'SEAL_DRAFT': {
+      const { encryption } = await chrome.storage.local.get('encryption');
+      const entry = encryption ? Object.assign(await sealEntry(encryption, message.entry), message.extra) : message.entry;
+      /* a draft saved as its page unloads is stored here, since the page may be gone before the answer arrives */
+      if (message.key) {
+        if (!fromPage && !isSenderDraftKey(sender, message.key)) throw new Error('not allowed');
+        await chrome.storage.local.set({ [message.key]: entry });
+      }
+      return { entry };
+    }
+    case 'BACKUP_ENCRYPT': {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      const key = await deriveWrappingKey(message.passphrase, salt, PBKDF2_ITERATIONS);
+      return { backup: { salt: toBase64(salt), iterations: PBKDF2_ITERATIONS, sealed: await encryptJson(key, message.payload) } };
+    }
+    case 'BACKUP_DECRYPT': {
+      /* the work factor comes from the imported file: one far off ours would hang the worker or make pbkdf2 throw */
+      const iterations = message.backup && message.backup.iterations;
+      if (!Number.isInteger(iterations) || iterations < PBKDF2_ITERATIONS / 10 || iterations > PBKDF2_ITERATIONS * 10) {
+        throw new Error('not a valid backup file');
+      }
+      const key = await deriveWrappingKey(message.passphrase, fromBase64(message.backup.salt), iterations);
+      try {
+        return { payload: await decryptJson(key, message.backup.sealed) };
+      } catch (err) {
+        throw new Error('wrong passphrase');
+      }
+    }
+    case 'OPEN_DRAFTS': {
+      const requested = fromPage
+        ? message.entries
+        : await chrome.storage.local.get(Object.keys(message.entries).filter(key => isSenderDraftKey(sender, key)));
+      const anyEncrypted = Object.values(requested).some(entry => entry && entry.encrypted);
+      const privateKey = anyEncrypted ? await getPrivateKey() : null;
+      if (anyEncrypted && !privateKey) return { locked: true };
+      const entries = {};
+      for (const [key, entry] of Object.entries(requested)) {
+        entries[key] = entry.encrypted ? await openEntry(privateKey, entry) : entry;
+      }
+      return { entries };
+    }
+    default:
+      return null;
+  }
+}
+
+/* remove expired entries using settings.retentionDays (or the retention of the site rule matching the draft's
+   page), and submitted drafts whose grace period is over */
 function purgeExpiredEntries() {
   /* load settings to determine retention */
-  chrome.storage.local.get({ settings: { retentionDays: 30 } }, items => {
-    const retentionDays = (items.settings && items.settings.retentionDays) || 30;
-    const maxAge = retentionDays * 24 * 60 * 60 * 1000;
+  AutoFormRecoverySettings.load(settings => {
+    const graceMs = settings.submitGraceMinutes * 60 * 1000;
     chrome.storage.local.get(null, all => {
       const keysToRemove = [];
       const now = Date.now();
       Object.entries(all).forEach(([key, entry]) => {
-        const timestamp = entry && entry.timestamp;
-        if (timestamp && now - timestamp > maxAge) {
+        if (!isDraftEntry(key, entry)) return;
+        const timestamp = entry.timestamp;
+        const submittedAt = entry.submittedAt;
+        const url = AutoFormRecoverySettings.getDraftUrl(key);
+        const userDays = AutoFormRecoveryRules.resolve(settings, url).retentionDays || settings.retentionDays;
+        /* a retention the page set for the form can only shorten the user's */
+        const retentionDays = entry.retentionDays ? Math.min(entry.retentionDays, userDays) : userDays;
+        const maxAge = retentionDays * 24 * 60 * 60 * 1000;
+        if ((timestamp && now - timestamp > maxAge) || (submittedAt && now - submittedAt > graceMs)) {
           keysToRemove.push(key);
         }
       });
@@ -33,7 +308,422 @@ function purgeExpiredEntries() {
   });
 }
 
+/* share of the storage budget at which the popup warns */
+const STORAGE_WARNING_RATIO = 0.9;
+
+/* bytes an item takes in storage: its key plus its serialized value */
+function getItemSize(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/* measure storage: the total size of everything stored, the budget, and each draft's size, site and last use */
+function getStorageUsage(callback) {
+  chrome.storage.local.get(null, items => {
+    const settings = AutoFormRecoverySettings.validate(items[AutoFormRecoverySettings.SETTINGS_KEY]);
+    const budget = settings.storageBudgetMB * 1024 * 1024;
+    const drafts = [];
+    let total = 0;
+    Object.entries(items).forEach(([key, entry]) => {
+      const size = getItemSize(key, entry);
+      total += size;
+      if (!isDraftEntry(key, entry)) return;
+      let host = 'unknown';
+      try {
+        host = new URL(AutoFormRecoverySettings.getDraftUrl(key)).hostname;
+      } catch (err) {}
+      drafts.push({ key, host, size, usedAt: Math.max(entry.usedAt || 0, entry.timestamp || 0) });
+    });
+    callback({ total, budget, drafts });
+  });
+}
+
+/* remove least recently used drafts until storage fits the budget; with extraBytes (a write the browser's own
+   quota rejected) at least that much is freed even below the budget. the most recently used draft is never
+   evicted, so a single oversized draft is still kept */
+function enforceStorageBudget(extraBytes, callback) {
+  getStorageUsage(({ total, budget, drafts }) => {
+    const limit = extraBytes ? Math.min(budget, total) : budget;
+    const evicted = [];
+    drafts.sort((a, b) => a.usedAt - b.usedAt).slice(0, -1).forEach(draft => {
+      if (total + extraBytes <= limit) return;
+      evicted.push(draft.key);
+      total -= draft.size;
+    });
+    const done = () => callback && callback(evicted);
+    if (!evicted.length) {
+      done();
+      return;
+    }
+    console.log('[AutoFormRecovery] Evicted least recently used drafts', evicted);
+    chrome.storage.local.remove(evicted, done);
+  });
+}
+
+/* usage summary for the popup: totals, whether storage is nearly full, and usage per site, largest first */
+function summarizeStorageUsage(callback) {
+  getStorageUsage(({ total, budget, drafts }) => {
+    const sites = {};
+    drafts.forEach(({ host, size }) => {
+      sites[host] = sites[host] || { host, size: 0, count: 0 };
+      sites[host].size += size;
+      sites[host].count++;
+    });
+    callback({
+      total,
+      budget,
+      nearlyFull: total >= budget * STORAGE_WARNING_RATIO,
+      sites: Object.values(sites).sort((a, b) => b.size - a.size)
+    });
+  });
+}
+
+/* check the budget shortly after drafts are written; writes come in bursts while the user types */
+let budgetTimer = null;
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (!Object.keys(changes).some(key => changes[key].newValue && isDraftEntry(key, changes[key].newValue))) return;
+  clearTimeout(budgetTimer);
+  budgetTimer = setTimeout(() => enforceStorageBudget(0), 2000);
+});
+
+/* how many times to ask a freshly opened page to restore a draft, one second apart */
+const RESTORE_ATTEMPTS = 10;
+
+/* ask each frame of a tab in turn to restore a draft, first only into the form whose key matches and then into the
+   most similar form, since the page may have changed slightly since the draft was saved; callback receives whether
+   a frame restored it. frames are known from their status reports, the top frame first */
+function restoreDraftInTab(tabId, key, callback) {
+  const frames = tabStatus.has(tabId) ? Array.from(tabStatus.get(tabId).keys()).sort((a, b) => a - b) : [];
+  if (!frames.includes(0)) frames.unshift(0);
+  const attempts = frames.map(frameId => ({ frameId, similar: false }))
+    .concat(frames.map(frameId => ({ frameId, similar: true })));
+  const next = index => {
+    if (index >= attempts.length) {
+      callback(false);
+      return;
+    }
+    const { frameId, similar } = attempts[index];
+    chrome.tabs.sendMessage(tabId, { type: 'RESTORE_VERSION', key, similar }, { frameId }, response => {
+      if (!chrome.runtime.lastError && response && response.success) {
+        callback(true);
+      } else {
+        next(index + 1);
+      }
+    });
+  };
+  next(0);
+}
+
+/* open a page in a new tab and restore the latest version of each draft once the content script has found its
+   form; callback receives whether any draft was restored */
+function openPageAndRestore(keys, url, callback) {
+  chrome.tabs.create({ url }, tab => {
+    let remaining = keys.slice();
+    let restored = 0;
+    const tryRestore = attempt => {
+      const left = [];
+      const next = index => {
+        if (index < remaining.length) {
+          restoreDraftInTab(tab.id, remaining[index], success => {
+            if (success) {
+              restored++;
+            } else {
+              left.push(remaining[index]);
+            }
+            next(index + 1);
+          });
+          return;
+        }
+        remaining = left;
+        if (!remaining.length || attempt >= RESTORE_ATTEMPTS) {
+          callback(restored > 0);
+        } else {
+          setTimeout(() => tryRestore(attempt + 1), 1000);
+        }
+      };
+      next(0);
+    };
+    const onUpdated = (tabId, info) => {
+      if (tabId !== tab.id || info.status !== 'complete') return;
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      tryRestore(1);
+    };
+    chrome.tabs.onUpdated.addListener(onUpdated);
+  });
+}
+
+/* form commands offered in the context menu of editable fields and as keyboard shortcuts (see "commands" in
+   manifest.json); the content script of the frame that holds the field carries them out */
+const FORM_COMMANDS = [
+  { id: 'save-form', title: 'Save this form now' },
+  { id: 'restore-form', title: 'Restore draft into this form' },
+  { id: 'restore-field', title: 'Restore only this field' },
+  { id: 'forget-form', title: 'Forget this form\'s draft' },
+  { id: 'never-save-field', title: 'Never save this field' }
+];
+
+/* (re)create the context menu; menus persist across service worker restarts, so this runs on install and update */
+function createContextMenu() {
+  chrome.contextMenus.removeAll(() => {
+    FORM_COMMANDS.forEach(({ id, title }) => {
+      chrome.contextMenus.create({ id, title, contexts: ['editable'] });
+    });
+  });
+}
+
+/* a context menu click knows its frame, so only that frame's content script is asked; it acts on the element the
+   menu was opened on */
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab || !FORM_COMMANDS.some(command => command.id === info.menuItemId)) return;
+  chrome.tabs.sendMessage(tab.id, { type: 'FORM_COMMAND', command: info.menuItemId, source: 'menu' },
+    { frameId: info.frameId || 0 }, () => void chrome.runtime.lastError);
+});
+
+/* a keyboard shortcut does not say which frame has focus, so every frame of the active tab is asked and only the
+   one holding the focused field acts */
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!FORM_COMMANDS.some(item => item.id === command)) return;
+  const send = target => {
+    if (!target) return;
+    chrome.tabs.sendMessage(target.id, { type: 'FORM_COMMAND', command, source: 'keyboard' },
+      () => void chrome.runtime.lastError);
+  };
+  if (tab) {
+    send(tab);
+  } else {
+    chrome.tabs.query({ active: true, currentWindow: true }, tabs => send(tabs && tabs[0]));
+  }
+});
+
+/* what the content script of each frame last reported, by tab id and then frame id; rebuilt by asking the tab's
+   frames again when the service worker restarts */
+const tabStatus = new Map();
+
+/* badge colors: forms monitored, a draft waiting to be restored, a draft restored, and recovery not running */
+const BADGE_COLORS = { monitoring: '#4caf50', draft: '#fb8c00', restored: '#1e88e5', inactive: '#757575' };
+
+/* grey copies of the toolbar icon for pages where recovery is off, drawn once from the packaged icon */
+let greyIcon = null;
+
+/* callback receives the grey icon as imageData by size, or null where canvases are not available */
+function getGreyIcon(callback) {
+  if (greyIcon || typeof OffscreenCanvas === 'undefined') {
+    callback(greyIcon);
+    return;
+  }
+  fetch(chrome.runtime.getURL('icons/icon48.png'))
+    .then(response => response.blob())
+    .then(blob => createImageBitmap(blob))
+    .then(bitmap => {
+      const images = {};
+      [16, 32].forEach(size => {
+        const context = new OffscreenCanvas(size, size).getContext('2d');
+        context.drawImage(bitmap, 0, 0, size, size);
+        const image = context.getImageData(0, 0, size, size);
+        for (let i = 0; i < image.data.length; i += 4) {
+          const grey = Math.round(image.data[i] * 0.3 + image.data[i + 1] * 0.59 + image.data[i + 2] * 0.11);
+          image.data[i] = image.data[i + 1] = image.data[i + 2] = grey;
+          image.data[i + 3] = Math.round(image.data[i + 3] * 0.6);
+        }
+        images[size] = image;
+      });
+      greyIcon = images;
+      callback(greyIcon);
+    })
+    .catch(() => callback(null));
+}
+
+/* combine the frames' reports into the tab's badge text, color, icon and tooltip. the top frame decides whether
+   recovery is off everywhere or on this site; forms, skipped sign‑in forms and drafts are counted over all frames */
+function updateBadge(tabId) {
+  const frames = tabStatus.get(tabId);
+  const reports = frames ? Array.from(frames.values()) : [];
+  const top = (frames && frames.get(0)) || reports[0];
+  let text = '';
+  let color = BADGE_COLORS.inactive;
+  let title = 'Auto Form Recovery';
+  let grey = false;
+  if (top && !top.enabled) {
+    grey = true;
+    title += ' is turned off';
+  } else if (top && !top.siteEnabled) {
+    text = 'OFF';
+    grey = true;
+    title += ' is disabled on this site by a site rule';
+  } else if (top) {
+    const running = reports.filter(report => report.enabled && report.siteEnabled);
+    const forms = running.reduce((sum, report) => sum + report.forms, 0);
+    const loginForms = running.reduce((sum, report) => sum + report.loginForms, 0);
+    const draft = running.some(report => report.draft);
+    const restored = running.some(report => report.restored);
+    const details = [`${forms} ${forms === 1 ? 'form' : 'forms'} monitored`];
+    if (restored) details.push('draft restored');
+    else if (draft) details.push('draft saved');
+    if (loginForms) details.push(`${loginForms} sign‑in ${loginForms === 1 ? 'form' : 'forms'} skipped`);
+    title += ` – ${details.join(', ')}`;
+    if (forms) {
+      text = String(forms);
+      color = restored ? BADGE_COLORS.restored : draft ? BADGE_COLORS.draft : BADGE_COLORS.monitoring;
+    } else if (loginForms) {
+      text = 'SKIP';
+    }
+  }
+  chrome.action.setBadgeText({ tabId, text }, () => void chrome.runtime.lastError);
+  chrome.action.setBadgeBackgroundColor({ tabId, color }, () => void chrome.runtime.lastError);
+  chrome.action.setTitle({ tabId, title }, () => void chrome.runtime.lastError);
+  getGreyIcon(images => {
+    const icon = grey && images ? { tabId, imageData: images } : { tabId, path: chrome.runtime.getManifest().action.default_icon };
+    chrome.action.setIcon(icon, () => void chrome.runtime.lastError);
+  });
+}
+
+/* store a frame's report and redraw its tab's badge; reports from a tab not seen before (a new tab, or every tab
+   after a service worker restart) prompt the tab's other frames to report again */
+function setFrameStatus(tab, frameId, status) {
+  if (!tabStatus.has(tab.id)) {
+    tabStatus.set(tab.id, new Map());
+    chrome.tabs.sendMessage(tab.id, { type: 'REPORT_STATUS' }, () => void chrome.runtime.lastError);
+  }
+  tabStatus.get(tab.id).set(frameId, status);
+  updateBadge(tab.id);
+  recordOpenTab(tab);
+  /* an open popup redraws its sign‑in detection view */
+  chrome.runtime.sendMessage({ type: 'TAB_STATUS_CHANGED', tabId: tab.id }, () => void chrome.runtime.lastError);
+}
+
+/* a tab loading a new page starts over; closed tabs are forgotten, and their drafts listed as recently closed */
+chrome.tabs.onUpdated.addListener((tabId, info, tab) => {
+  if (info.status !== 'loading' || !tabStatus.has(tabId)) return;
+  tabStatus.get(tabId).clear();
+  updateBadge(tabId);
+  recordOpenTab(tab);
+});
+chrome.tabs.onRemoved.addListener(tabId => {
+  tabStatus.delete(tabId);
+  updateTabRecords(records => closeTabRecord(records, tabId, Date.now()));
+});
+
+/* how many recently closed tabs with drafts are kept */
+const CLOSED_TABS_LIMIT = 20;
+
+/* unsubmitted draft keys held by a tab's frames, from their status reports */
+function getTabDraftKeys(tabId) {
+  const keys = [];
+  (tabStatus.get(tabId) || new Map()).forEach(status => {
+    (status.drafts || []).forEach(key => {
+      if (!keys.includes(key)) keys.push(key);
+    });
+  });
+  return keys;
+}
+
+/* change the open and recently closed tab records (see settings.js); change returns false when it changed nothing.
+   changes run one at a time so overlapping reports do not undo each other */
+let tabRecordQueue = Promise.resolve();
+function updateTabRecords(change) {
+  const { OPEN_TABS_KEY, CLOSED_TABS_KEY } = AutoFormRecoverySettings;
+  tabRecordQueue = tabRecordQueue.then(() => new Promise(resolve => {
+    chrome.storage.local.get([OPEN_TABS_KEY, CLOSED_TABS_KEY], items => {
+      const records = { open: items[OPEN_TABS_KEY] || {}, closed: items[CLOSED_TABS_KEY] || [] };
+      if (change(records) === false) {
+        resolve();
+        return;
+      }
+      chrome.storage.local.set({ [OPEN_TABS_KEY]: records.open, [CLOSED_TABS_KEY]: records.closed }, resolve);
+    });
+  }));
+}
+
+/* remember the page and drafts of a tab whose forms hold unsubmitted drafts, so they can be offered once the tab is
+   closed; kept in storage.local so a crash does not lose them. drafts listed as recently closed that show up in a
+   tab again have been reopened and leave the list */
+function recordOpenTab(tab) {
+  const keys = getTabDraftKeys(tab.id);
+  updateTabRecords(records => {
+    const previous = records.open[tab.id];
+    if (!keys.length) {
+      if (!previous) return false;
+      delete records.open[tab.id];
+      return true;
+    }
+    const reopened = records.closed.filter(item => item.keys.some(key => keys.includes(key)));
+    if (previous && previous.url === tab.url && previous.title === tab.title && !reopened.length &&
+        previous.keys.join() === keys.join()) {
+      return false;
+    }
+    records.open[tab.id] = { url: tab.url, title: tab.title, keys, updatedAt: Date.now() };
+    records.closed = records.closed.filter(item => !reopened.includes(item));
+    return true;
+  });
+}
+
+/* move a tab's record to the front of the recently closed list */
+function closeTabRecord(records, tabId, closedAt) {
+  const record = records.open[tabId];
+  if (!record) return false;
+  delete records.open[tabId];
+  records.closed.unshift({ id: `${closedAt}-${tabId}`, url: record.url, title: record.title, keys: record.keys, closedAt });
+  records.closed = records.closed.slice(0, CLOSED_TABS_LIMIT);
+  return true;
+}
+
+/* tabs still recorded as open when the browser starts were lost to a crash or to quitting the browser */
+chrome.runtime.onStartup.addListener(() => {
+  updateTabRecords(records => {
+    const tabIds = Object.keys(records.open);
+    if (!tabIds.length) return false;
+    tabIds.sort((a, b) => records.open[a].updatedAt - records.open[b].updatedAt)
+      .forEach(tabId => closeTabRecord(records, tabId, records.open[tabId].updatedAt));
+    return true;
+  });
+});
+
+/* reopen a recently closed tab and restore its drafts; it leaves the list once a draft is restored */
+function reopenClosedTab(id, callback) {
+  chrome.storage.local.get(AutoFormRecoverySettings.CLOSED_TABS_KEY, items => {
+    const record = (items[AutoFormRecoverySettings.CLOSED_TABS_KEY] || []).find(item => item.id === id);
+    if (!record) {
+      callback(false);
+      return;
+    }
+    openPageAndRestore(record.keys, record.url, success => {
+      if (success) {
+        updateTabRecords(records => {
+          records.closed = records.closed.filter(item => item.id !== id);
+        });
+      }
+      callback(success);
+    });
+  });
+}
+
 /* listen for messages from popup or other scripts */
+/* return true if a draft key (or key prefix) belongs to the origin of the frame that sent a message */
+function isSenderDraftKey(sender, key) {
+  if (!AutoFormRecoverySettings.isDraftKey(key) || !sender.url) return false;
+  try {
+    return new URL(AutoFormRecoverySettings.getDraftUrl(key)).origin === new URL(sender.url).origin;
+  } catch (err) {
+    return false;
+  }
+}
+
+/* hand a frame the drafts of its page (keys starting with prefix), for browsers where it cannot list the stored
+   keys itself; drafts of other origins are never handed out */
+function getPageDrafts(sender, prefix, callback) {
+  if (!isSenderDraftKey(sender, prefix)) {
+    callback({});
+    return;
+  }
+  chrome.storage.local.get(null, all => {
+    const items = {};
+    Object.keys(all).forEach(key => {
+      if (key.startsWith(prefix)) items[key] = all[key];
+    });
+    callback(items);
+  });
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message && message.type === 'CLEAR_FORM_DATA') {
     clearAllFormData(success => {
@@ -41,22 +731,101 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     });
     return true;
   }
+  if (message && message.type === 'OPEN_AND_RESTORE') {
+    openPageAndRestore([message.key], AutoFormRecoverySettings.getDraftUrl(message.key), success => {
+      sendResponse({ success });
+    });
+    return true;
+  }
+  if (message && message.type === 'REOPEN_CLOSED_TAB') {
+    reopenClosedTab(message.id, success => {
+      sendResponse({ success });
+    });
+    return true;
+  }
+  /* each frame's content script reports its status for the toolbar badge */
+  if (message && message.type === 'FRAME_STATUS') {
+    if (sender.tab) setFrameStatus(sender.tab, sender.frameId || 0, message.status);
+    return;
+  }
+  /* the popup reads the frames' reports of its tab */
+  if (message && message.type === 'TAB_STATUS') {
+    sendResponse({ frames: Array.from((tabStatus.get(message.tabId) || new Map()).values()) });
+    return;
+  }
+  if (message && message.type === 'STORAGE_USAGE') {
+    summarizeStorageUsage(sendResponse);
+    return true;
+  }
+  if (message && message.type === 'PAGE_DRAFTS') {
+    getPageDrafts(sender, message.prefix, items => sendResponse({ items }));
+    return true;
+  }
+  /* a content script whose write hit the browser's quota asks for room before retrying */
+  if (message && message.type === 'FREE_STORAGE') {
+    enforceStorageBudget(message.bytes || 0, evicted => sendResponse({ evicted }));
+    return true;
+  }
+  if (message && /^(ENCRYPTION_|BACKUP_|SEAL_DRAFT|OPEN_DRAFTS)/.test(message.type)) {
+    handleEncryptionMessage(message, sender)
+      .then(sendResponse)
+      .catch(err => sendResponse({ error: err.message || 'encryption failed' }));
+    return true;
+  }
 });
 
-/* create an alarm on install to purge expired entries daily */
+/* upgrade stored data written by an older version to the current schema (see settings.js), then call back.
+   version 1 kept drafts under bare "url::form" keys, the earliest of them as plain field maps, and stored settings
+   unchecked; its drafts move under "draft:" keys in the current entry shape and the legacy ignoreDomains list is
+   folded into site rules */
+function migrateStorage(callback) {
+  const { SCHEMA_VERSION, SETTINGS_KEY, META_KEY } = AutoFormRecoverySettings;
+  chrome.storage.local.get(null, items => {
+    const meta = items[META_KEY] || {};
+    const version = meta.schemaVersion || 1;
+    if (version >= SCHEMA_VERSION) {
+      if (callback) callback();
+      return;
+    }
+    const updates = {};
+    const removals = [];
+    if (version < 2) {
+      Object.keys(items).forEach(key => {
+        if (AutoFormRecoverySettings.isDraftKey(key) || !key.includes('::')) return;
+        const entry = AutoFormRecoverySettings.upgradeEntry(items[key]);
+        removals.push(key);
+        if (entry) updates[AutoFormRecoverySettings.toDraftKey(key)] = entry;
+      });
+      const settings = AutoFormRecoverySettings.validate(items[SETTINGS_KEY]);
+      settings.rules = AutoFormRecoveryRules.getRules(settings);
+      settings.ignoreDomains = [];
+      updates[SETTINGS_KEY] = settings;
+    }
+    updates[META_KEY] = { schemaVersion: SCHEMA_VERSION, migratedFrom: version, migratedAt: Date.now() };
+    chrome.storage.local.set(updates, () => {
+      chrome.storage.local.remove(removals, () => {
+        console.log('[AutoFormRecovery] Migrated storage from schema', version, 'to', SCHEMA_VERSION);
+        if (callback) callback();
+      });
+    });
+  });
+}
+
+/* create the context menu and an alarm to purge expired entries daily on install or update; the migration itself
+   runs below, since the service worker also starts on install and two runs at once would both read the old data */
 chrome.runtime.onInstalled.addListener(() => {
-  /* run purge on install */
-  purgeExpiredEntries();
+  createContextMenu();
   /* schedule daily purge via alarm */
   chrome.alarms.create('autoFormRecoveryPurge', { periodInMinutes: 60 * 24 });
 });
 
-/* run a purge on service worker startup */
-purgeExpiredEntries();
+/* migrate once per service worker start, then purge; the migration check is a no‑op once the schema is current */
+const storageMigrated = new Promise(resolve => migrateStorage(resolve));
+storageMigrated.then(purgeExpiredEntries);
 
-/* alarm handler triggers purge */
+/* alarm handler triggers purge; an alarm that wakes the service worker waits for the migration */
 chrome.alarms.onAlarm.addListener(alarm => {
   if (alarm && alarm.name === 'autoFormRecoveryPurge') {
-    purgeExpiredEntries();
+    storageMigrated.then(purgeExpiredEntries);
   }
 });
\ No newline at end of file
@@ -2,280 +2,2434 @@
  (c) 2025 SC5K Systems
  contentScript.js
  runs on each page to save and restore form input on a per‑form basis. a unique key is derived from
- the page origin/path and the form id or index. password, hidden, file and opt‑out fields are never saved.
- login forms containing a password input are ignored.
+ the normalized page url (significant query parameters and hash routes) and the form id or a fingerprint of its
+ fields; drafts whose key no longer exists are matched to the most similar form. contenteditable regions (rich‑text
+ editors) are saved with their markup and a plain‑text fallback; multi‑selects keep every selected option and aria
+ checkbox, switch, listbox and combobox widgets are saved by their state. fields, options and widget popups that
+ render after the page are restored once they appear, and the banner lists any that never do. forms and fields
+ inside open shadow roots (web components) are found and watched like the rest of the page, and form‑associated
+ custom elements are saved where their value is visible to the extension. inputs outside any <form> are grouped into
+ "virtual forms" by their nearest dialog/section/role="form" container. password, hidden, file and opt‑out fields
+ are never saved, and payment cards, government ids, bank accounts and one‑time codes are skipped or masked.
+ sign‑in forms are ignored; they are recognized by a score over their fields' autocomplete tokens, submit button text,
+ field counts and the page address, and the user can mark any form as (not) a sign‑in form for the site. each entry
+ keeps a short history of snapshots that the popup can restore. restores follow the restore policy and can be undone
+ from an in‑page banner. edits are saved after a short, configurable pause and flushed right away when the page is hidden, frozen
+ or unloaded; a small note next to the form shows when the latest edit is stored. drafts are discarded after their
+ form is submitted, once a short grace period has passed. with encryption on, drafts are sealed by the background
+ script and restored only while the store is unlocked. settings changes apply to open pages right away. the context
+ menu and keyboard shortcuts save, restore or forget a form's draft, restore a single field, or stop saving a field.
+ each frame reports its status (forms monitored, drafts, sign‑in forms skipped) for the toolbar badge. pages can set
+ a form's draft key and retention and opt forms in or out with data attributes, clear or save a draft with
+ "autorecovery:clear" and "autorecovery:save" events, and hear about drafts through "autorecovery:saved" and
+ "autorecovery:restored" (see README).
 */
 
 (() => {
   /* use chrome API for cross‑browser compatibility */
   const storage = chrome.storage;
-  /* cached settings */
-  let extensionSettings = {
-    enabled: true,
-    retentionDays: 30,
-    ignoreDomains: [],
-    /* whether to skip saving/restoring login forms; user can override via options */
-    ignoreLoginForms: true
-  };
+  /* cached settings (see settings.js), kept current by storage.onChanged */
+  let extensionSettings = AutoFormRecoverySettings.validate();
 
-  /* load settings from storage.local */
+  /* load the validated settings from storage.local */
   function loadSettings(callback) {
-    chrome.storage.local.get({ settings: extensionSettings }, items => {
-      extensionSettings = items.settings || extensionSettings;
+    AutoFormRecoverySettings.load(settings => {
+      extensionSettings = settings;
       console.log('[AutoFormRecovery] Loaded settings:', extensionSettings);
       if (callback) callback();
     });
   }
-  /* return true if the element should be saved; skip passwords, hidden, file, autocomplete="off" and data-autorecovery="false" */
+
+  /* site rules (retention, login handling, field selectors) that apply to this page */
+  function getSitePolicy() {
+    return AutoFormRecoveryRules.resolve(extensionSettings, location.href);
+  }
+
+  /* return true if the element matches, or sits inside an element matching, one of the selectors */
+  function matchesAnySelector(el, selectors) {
+    return selectors.some(selector => {
+      try {
+        return !!el.closest(selector);
+      } catch (err) {
+        return false;
+      }
+    });
+  }
+
+  /* input types whose value is a button label rather than something the user entered */
+  const BUTTON_TYPES = ['submit', 'button', 'reset', 'image'];
+
+  /* return true if the element should be saved; skip passwords, hidden, file, buttons, autocomplete="off" and
+     data-autorecovery="false".
+     site rules can exclude fields by selector, or include fields that autocomplete="off" would skip; so can the page
+     itself with data-autorecovery="true".
+     sensitive values (payment cards, ids, one‑time codes) are filtered separately when the form is collected */
   function shouldSaveField(el) {
     const tag = el.tagName.toLowerCase();
     if (tag === 'input') {
       const type = (el.getAttribute('type') || '').toLowerCase();
-      if (['password', 'hidden', 'file'].includes(type)) return false;
+      if (['password', 'hidden', 'file'].includes(type) || BUTTON_TYPES.includes(type)) return false;
     }
+    const policy = getSitePolicy();
+    if (matchesAnySelector(el, policy.exclude)) return false;
+    if (matchesAnySelector(el, policy.include)) return el.getAttribute('data-autorecovery') !== 'false';
+    if (el.getAttribute('data-autorecovery') === 'true') return true;
     if (el.autocomplete === 'off') return false;
     if (el.getAttribute('data-autorecovery') === 'false') return false;
     return true;
   }
 
-  /* build a unique key using origin+path and the form id/name; fall back to index if no identifier */
-  function getFormKey(form) {
-    const url = location.origin + location.pathname;
+  /* luhn checksum used by payment card numbers */
+  function passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  /* 13–19 digits (spaces/dashes allowed) that pass the luhn check */
+  function isCardNumber(value) {
+    const digits = value.replace(/[\s-]/g, '');
+    return /^\d{13,19}$/.test(digits) && passesLuhn(digits);
+  }
+
+  /* us social security numbers written with separators, and uk national insurance numbers */
+  function isGovernmentId(value) {
+    const text = value.trim();
+    return /^(?!000|666|9\d\d)\d{3}[- ](?!00)\d{2}[- ](?!0000)\d{4}$/.test(text) ||
+      /^[A-CEGHJ-PR-TW-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D]$/i.test(text);
+  }
+
+  /* iban with a valid mod‑97 check digit */
+  function isIban(value) {
+    const iban = value.replace(/\s/g, '').toUpperCase();
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+    const numeric = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, c => (c.charCodeAt(0) - 55).toString());
+    let remainder = 0;
+    for (let i = 0; i < numeric.length; i++) {
+      remainder = (remainder * 10 + Number(numeric[i])) % 97;
+    }
+    return remainder === 1;
+  }
+
+  /* sensitive‑data rules by category (settings.sensitiveCategories turns them on and off):
+     - autocomplete: tokens that mark the whole field as sensitive
+     - name: pattern tested against the field's name, id, label and placeholder
+     - value: check run on single‑line values
+     - find: pattern for sensitive substrings in multi‑line text, confirmed with the value check */
+  const SENSITIVE_RULES = {
+    payment: {
+      autocomplete: ['cc-number', 'cc-csc', 'cc-exp', 'cc-exp-month', 'cc-exp-year'],
+      name: /(card.?(num|no)|cc.?(num|no)|cvv|cvc|csc|security.?code|card.?verif)/i,
+      value: isCardNumber,
+      find: /\b\d(?:[ -]?\d){12,18}\b/g
+    },
+    governmentId: {
+      autocomplete: [],
+      name: /(ssn|social.?sec|national.?(id|insurance)|passport|tax.?(id|num)|driver.?licen[cs]e)/i,
+      value: isGovernmentId,
+      find: /\b\d{3}-\d{2}-\d{4}\b/g
+    },
+    banking: {
+      autocomplete: [],
+      name: /(iban|account.?(num|no)|routing.?(num|no)|sort.?code|swift|\bbic\b)/i,
+      value: isIban,
+      find: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g
+    },
+    oneTimeCode: {
+      autocomplete: ['one-time-code'],
+      name: /((^|[^a-z])otp([^a-z]|$)|one.?time|2fa|mfa|totp|verification.?code)/i,
+      value: null,
+      find: null
+    }
+  };
+
+  /* categories switched on in settings; all of them by default */
+  function getActiveSensitiveRules() {
+    const enabled = extensionSettings.sensitiveCategories || {};
+    return Object.keys(SENSITIVE_RULES)
+      .filter(category => enabled[category] !== false)
+      .map(category => Object.assign({ category }, SENSITIVE_RULES[category]));
+  }
+
+  /* user patterns from settings.sensitivePatterns; invalid expressions are ignored */
+  function getCustomSensitivePatterns() {
+    return (extensionSettings.sensitivePatterns || []).map(pattern => {
+      try {
+        return new RegExp(pattern, 'gi');
+      } catch (err) {
+        return null;
+      }
+    }).filter(Boolean);
+  }
+
+  /* category of a field that is sensitive by its autocomplete tokens or its name/id/label, else null */
+  function getSensitiveFieldCategory(el) {
+    const tokens = (el.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+    const label = [
+      el.getAttribute('name'),
+      el.id,
+      el.getAttribute('aria-label'),
+      el.getAttribute('placeholder'),
+      el.labels && el.labels[0] ? el.labels[0].textContent : ''
+    ].filter(Boolean).join(' ');
+    const rule = getActiveSensitiveRules().find(r => r.autocomplete.some(t => tokens.includes(t)) || r.name.test(label));
+    if (rule) return rule.category;
+    return getCustomSensitivePatterns().some(re => re.test(label)) ? 'custom' : null;
+  }
+
+  /* category of a single‑line value that looks sensitive, else null */
+  function getSensitiveValueCategory(value) {
+    if (!value) return null;
+    const rule = getActiveSensitiveRules().find(r => r.value && r.value(value));
+    if (rule) return rule.category;
+    return getCustomSensitivePatterns().some(re => re.test(value)) ? 'custom' : null;
+  }
+
+  /* hide all but the last four characters of a value */
+  function maskValue(value) {
+    const visible = value.length > 8 ? value.slice(-4) : '';
+    return '•'.repeat(value.length - visible.length) + visible;
+  }
+
+  /* mask sensitive substrings inside multi‑line text */
+  function redactText(text) {
+    let result = text || '';
+    getActiveSensitiveRules().forEach(rule => {
+      if (!rule.find) return;
+      result = result.replace(rule.find, match => (rule.value(match) ? maskValue(match) : match));
+    });
+    getCustomSensitivePatterns().forEach(re => {
+      result = result.replace(re, maskValue);
+    });
+    return result;
+  }
+
+  /* mask sensitive substrings in the text nodes of editor markup */
+  function redactHtml(html) {
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      walker.currentNode.nodeValue = redactText(walker.currentNode.nodeValue);
+    }
+    return doc.body.innerHTML;
+  }
+
+  /* open shadow roots found so far (closed roots are out of reach); web components render their fields there */
+  const shadowRoots = new Set();
+
+  /* return true if node is root or sits under it, looking through shadow root boundaries */
+  function composedContains(root, node) {
+    while (node) {
+      if (root === node || root.contains(node)) return true;
+      const rootNode = node.getRootNode();
+      node = rootNode instanceof ShadowRoot ? rootNode.host : null;
+    }
+    return false;
+  }
+
+  /* querySelectorAll that also searches the known shadow roots under root */
+  function queryAllDeep(root, selector) {
+    const found = Array.from(root.querySelectorAll ? root.querySelectorAll(selector) : []);
+    shadowRoots.forEach(shadowRoot => {
+      if (shadowRoot.host.isConnected && composedContains(root, shadowRoot.host)) {
+        found.push(...shadowRoot.querySelectorAll(selector));
+      }
+    });
+    return found;
+  }
+
+  /* the document or shadow root an element lives in, for id lookups that must not leave its tree */
+  function getTreeRoot(el) {
+    const root = el.getRootNode();
+    return root.getElementById ? root : document;
+  }
+
+  /* the <form> a control belongs to; controls inside a shadow root belong to the form around their host */
+  function getOwnerForm(el) {
+    const form = el.form || el.closest('form');
+    if (form) return form;
+    const root = el.getRootNode();
+    return root instanceof ShadowRoot ? getOwnerForm(root.host) : null;
+  }
+
+  /* return true for a form‑associated custom element listed in a form's elements */
+  function isCustomControl(el) {
+    return el.tagName.includes('-') && !isAriaWidget(el);
+  }
+
+  /* value of a form‑associated custom element, or null when it is not exposed: the element keeps it in page script,
+     which firefox lets content scripts read through wrappedJSObject; elsewhere only a value attribute is visible */
+  function getCustomValue(el) {
+    const page = el.wrappedJSObject;
+    if (page && typeof page.value === 'string') return page.value;
+    return el.hasAttribute('value') ? el.getAttribute('value') : null;
+  }
+
+  /* write a form‑associated custom element's value where it reads it from */
+  function setCustomValue(el, value) {
+    const page = el.wrappedJSObject;
+    if (page && typeof page.value === 'string') {
+      page.value = value;
+    } else {
+      el.setAttribute('value', value);
+    }
+  }
+
+  /* custom widgets saved alongside native controls; comboboxes that wrap an <input> are saved through the input */
+  const ARIA_WIDGETS = '[role="checkbox"], [role="switch"], [role="listbox"], [role="combobox"]';
+  const CONTROL_SELECTOR = `input, textarea, select, ${ARIA_WIDGETS}`;
+
+  /* return true if the element is a custom aria checkbox, switch, listbox or combobox; a listbox that serves as a
+     combobox popup belongs to the combobox */
+  function isAriaWidget(el) {
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName) || !el.matches(ARIA_WIDGETS)) return false;
+    const role = el.getAttribute('role');
+    if (role === 'combobox') return !el.querySelector('input, textarea');
+    if (role === 'listbox') {
+      if (el.closest('[role="combobox"]')) return false;
+      if (el.id) {
+        const id = CSS.escape(el.id);
+        return !getTreeRoot(el).querySelector(`[role="combobox"][aria-controls~="${id}"], [role="combobox"][aria-owns~="${id}"]`);
+      }
+    }
+    return true;
+  }
+
+  /* whitespace‑collapsed text of an element */
+  function widgetText(el) {
+    return (el.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /* accessible label of a field (aria‑label, aria‑labelledby or <label>), used to key fields that have no name */
+  function getFieldLabel(el) {
+    const labelledBy = (el.getAttribute('aria-labelledby') || '').split(/\s+/)
+      .map(id => id && getTreeRoot(el).getElementById(id))
+      .filter(Boolean);
+    const label = el.getAttribute('aria-label')
+      || labelledBy.map(widgetText).join(' ')
+      || (el.labels && el.labels[0] ? widgetText(el.labels[0]) : '');
+    return label.replace(/\s+/g, ' ').trim().slice(0, 60);
+  }
+
+  /* options of a listbox, or of a combobox's popup (found through aria-controls/aria-owns, or any open listbox) */
+  function getWidgetOptions(el) {
+    const popups = [el];
+    ['aria-controls', 'aria-owns'].forEach(attr => {
+      (el.getAttribute(attr) || '').split(/\s+/).forEach(id => {
+        const popup = id && getTreeRoot(el).getElementById(id);
+        if (popup) popups.push(popup);
+      });
+    });
+    const options = popups.reduce((list, popup) => list.concat(Array.from(popup.querySelectorAll('[role="option"]'))), []);
+    if (!options.length && el.getAttribute('role') === 'combobox' && el.getAttribute('aria-expanded') === 'true') {
+      return Array.from(document.querySelectorAll('[role="listbox"] [role="option"]'));
+    }
+    return options;
+  }
+
+  /* current value of an aria widget: checked state, labels of the selected options, or the combobox's shown text */
+  function getWidgetValue(el) {
+    const role = el.getAttribute('role');
+    if (role === 'checkbox' || role === 'switch') return el.getAttribute('aria-checked') === 'true';
+    if (role === 'listbox') {
+      return getWidgetOptions(el).filter(option => option.getAttribute('aria-selected') === 'true').map(widgetText);
+    }
+    return widgetText(el);
+  }
+
+  /* containers used to group inputs that are not inside a <form>, nearest first; anything else falls back to the body */
+  const VIRTUAL_FORM_CONTAINERS = 'dialog, [role="dialog"], [role="alertdialog"], [role="form"], fieldset, section, article, aside, main';
+
+  /* return true if the element is an input/textarea/select that no <form> owns */
+  function isOrphanControl(el) {
+    const tag = el.tagName.toLowerCase();
+    if (tag !== 'input' && tag !== 'textarea' && tag !== 'select' && !isAriaWidget(el)) return false;
+    return !getOwnerForm(el);
+  }
+
+  /* the element an orphan control is grouped under; controls in a shadow root with no container of their own are
+     grouped with their host */
+  function getVirtualContainer(el) {
+    const container = el.closest(VIRTUAL_FORM_CONTAINERS);
+    if (container) return container;
+    const root = el.getRootNode();
+    return root instanceof ShadowRoot ? getVirtualContainer(root.host) : document.body;
+  }
+
+  /* return true if the element an event or mutation came from is part of the given virtual form; controls of real
+     forms, editable regions and nested containers inside it report through the same container but are not */
+  function isInVirtualForm(form, el) {
+    return !el.isContentEditable && !getOwnerForm(el) && getVirtualContainer(el) === form;
+  }
+
+  /* orphan controls that belong to a virtual form (nested containers keep their own controls) */
+  function getVirtualControls(container) {
+    return queryAllDeep(container, CONTROL_SELECTOR)
+      .filter(el => isOrphanControl(el) && getVirtualContainer(el) === container);
+  }
+
+  /* collect the virtual forms for orphan controls in or under root, in document order; containers are flagged so
+     the rest of the script can tell them apart from real forms */
+  function getVirtualForms(root) {
+    const controls = queryAllDeep(root, CONTROL_SELECTOR);
+    if (root.nodeType === 1 && root.matches(CONTROL_SELECTOR)) controls.unshift(root);
+    const containers = [];
+    controls.filter(isOrphanControl).forEach(el => {
+      const container = getVirtualContainer(el);
+      if (!containers.includes(container)) {
+        container._autoRecoveryVirtual = true;
+        containers.push(container);
+      }
+    });
+    return containers;
+  }
+
+  /* normalize the page address used in draft keys:
+     - query parameters count unless they match settings.ignoreQueryParams (tracking parameters by default); the
+       remaining ones are sorted so their order does not matter
+     - the hash counts only when it looks like a client‑side route ("#/..." or "#!/...") and
+       settings.includeHashRoutes is on; plain in‑page anchors are ignored */
+  function getPageUrl() {
+    const ignored = (extensionSettings.ignoreQueryParams || []).map(AutoFormRecoveryRules.wildcardToRegExp);
+    const kept = [];
+    new URLSearchParams(location.search).forEach((value, name) => {
+      if (!ignored.some(re => re.test(name))) kept.push([name, value]);
+    });
+    kept.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    const query = kept.length ? `?${new URLSearchParams(kept).toString()}` : '';
+    let hash = '';
+    if (extensionSettings.includeHashRoutes !== false && /^#!?\//.test(location.hash)) {
+      hash = location.hash.replace(/\/+$/, '');
+    }
+    return location.origin + location.pathname + query + hash;
+  }
+
+  /* small non‑cryptographic string hash (FNV‑1a) rendered in base 36 */
+  function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  /* fingerprint a form from the names, types and order of its savable fields so the key survives other forms
+     appearing before it on the page. the fingerprint is kept once the form has fields: a form revealing a
+     conditional field later must keep saving under the same key, or the draft from before would be left behind
+     under the old one and restored on the next load, when the form renders without that field again */
+  function getFormFingerprint(form) {
+    if (form._autoRecoveryFingerprint) return form._autoRecoveryFingerprint;
+    const fields = getFormFields(form);
+    const parts = fields.map(({ el, fieldKey }) => `${el.tagName.toLowerCase()}:${el.type || ''}:${fieldKey}`);
+    const fingerprint = hashString(parts.join('|'));
+    if (fields.length) form._autoRecoveryFingerprint = fingerprint;
+    return fingerprint;
+  }
+
+  /* return true for a draft keyed by a form fingerprint rather than an id, name or page‑given key */
+  function isFingerprintKey(key) {
+    return /^(virtual:)?fp:/.test(AutoFormRecoverySettings.getDraftLabel(key));
+  }
+
+  /* explicit identifier of a form, if the page gives it one */
+  function getFormIdentifier(form) {
+    const explicit = getExplicitKey(form);
+    if (explicit) return explicit;
     const identifier = form.id || form.getAttribute('name');
+    if (identifier || !form._autoRecoveryVirtual) return identifier;
+    return form.getAttribute('aria-label') || (form === document.body ? 'page' : '');
+  }
+
+  /* build a unique storage key (see settings.js) from the normalized page url and the form id/name; forms without
+     an identifier fall back to their field fingerprint, suffixed with an occurrence number when identical forms
+     share a page. editable regions outside any form are keyed under an "editable:" prefix and virtual forms under
+     "virtual:" so they never clash with real forms */
+  function getFormKey(form) {
+    return AutoFormRecoverySettings.toDraftKey(getPageFormKey(form));
+  }
+
+  /* the draft key a page gave a form (or the container or editable region standing in for one) with
+     data-autorecovery-key */
+  function getExplicitKey(form) {
+    return (form.getAttribute('data-autorecovery-key') || '').trim();
+  }
+
+  /* the "url::form" part of a form's key; a key set by the page is used as is, under a "key:" prefix */
+  function getPageFormKey(form) {
+    const url = getPageUrl();
+    const explicit = getExplicitKey(form);
+    if (explicit) return `${url}::key:${explicit}`;
+    const identifier = getFormIdentifier(form);
+    if (form._autoRecoveryVirtual || form.tagName === 'FORM') {
+      const prefix = form._autoRecoveryVirtual ? 'virtual:' : '';
+      if (identifier) return `${url}::${prefix}${identifier}`;
+      const fingerprint = getFormFingerprint(form);
+      const peers = form._autoRecoveryVirtual ? getVirtualForms(document) : getAllForms();
+      const occurrence = peers
+        .filter(peer => !getFormIdentifier(peer) && getFormFingerprint(peer) === fingerprint)
+        .indexOf(form);
+      return `${url}::${prefix}fp:${fingerprint}${occurrence > 0 ? `#${occurrence}` : ''}`;
+    }
     let idx = '';
     if (!identifier) {
-      idx = Array.from(document.forms).indexOf(form).toString();
+      idx = getStandaloneEditables(document).indexOf(form).toString();
     }
-    return `${url}::${identifier || idx}`;
+    return `${url}::editable:${identifier || idx}`;
   }
 
-  /* return true if the form appears to be a sign‑in/login form
-     heuristic rules:
-     - if ignoreLoginForms is disabled in settings, always return false
-     - any password input => login
-     - id/name/class or action contains typical auth keywords
-     - forms with only a single text/email input and no textarea and a small number of inputs
-       are treated as a login stage (e.g., email step) */
-  function isLoginForm(form) {
-    /* respect user setting; if ignoreLoginForms is false, never treat as login */
+  /* share of field keys two sets have in common (jaccard index) */
+  function fieldSimilarity(keysA, keysB) {
+    if (!keysA.length || !keysB.length) return 0;
+    const common = keysA.filter(k => keysB.includes(k)).length;
+    return common / (keysA.length + keysB.length - common);
+  }
+
+  /* the stored drafts whose keys start with prefix (this page's), read without loading any other site's drafts into
+     the page; browsers that cannot list the stored keys ask the background script, which hands back only drafts of
+     the frame's own origin */
+  function getPageDrafts(prefix, callback) {
+    if (!chrome.storage.local.getKeys) {
+      chrome.runtime.sendMessage({ type: 'PAGE_DRAFTS', prefix }, response => {
+        callback(chrome.runtime.lastError || !response || !response.items ? {} : response.items);
+      });
+      return;
+    }
+    chrome.storage.local.getKeys(keys => {
+      const candidates = (keys || []).filter(key => key.startsWith(prefix));
+      if (!candidates.length) {
+        callback({});
+        return;
+      }
+      chrome.storage.local.get(candidates, callback);
+    });
+  }
+
+  /* when a form's exact key has no draft, pick the saved draft for this page whose fields best match the form.
+     drafts that belong to another form currently on the page are not considered */
+  function findSimilarEntry(form, key, callback) {
+    const prefix = AutoFormRecoverySettings.toDraftKey(`${getPageUrl()}::`);
+    const liveKeys = getRecoverableForms().map(getFormKey);
+    const fieldKeys = getFormFields(form).map(field => field.fieldKey);
+    getPageDrafts(prefix, items => {
+      let best = null;
+      Object.keys(items).forEach(candidate => {
+        if (!candidate.startsWith(prefix) || candidate === key || liveKeys.includes(candidate)) return;
+        const entry = items[candidate];
+        /* encrypted drafts do not reveal their fields, so they can only be found by exact key */
+        if (!entry || typeof entry !== 'object' || entry.encrypted || !entry.data) return;
+        const score = fieldSimilarity(fieldKeys, Object.keys(entry.data));
+        if (score >= 0.5 && (!best || score > best.score)) {
+          best = { key: candidate, entry, score };
+        }
+      });
+      callback(best);
+    });
+  }
+
+  /* the form whose fields best match a draft's, for a draft reopened after its page changed slightly so that no form
+     has its key any more; forms already matched to another draft are passed over */
+  function findSimilarForm(forms, data) {
+    const savedKeys = Object.keys(data || {});
+    let best = null;
+    forms.forEach(form => {
+      if (form._autoRecoverySourceKey) return;
+      const score = fieldSimilarity(getFormFields(form).map(field => field.fieldKey), savedKeys);
+      if (score >= 0.5 && (!best || score > best.score)) best = { form, score };
+    });
+    return best && best.form;
+  }
+
+  /* score at which a form counts as a sign‑in form */
+  const LOGIN_SCORE_THRESHOLD = 4;
+  /* submit button labels of sign‑in forms, and of the steps of multi‑step sign‑ins */
+  const LOGIN_BUTTON_TEXT = /\b(sign ?in|log ?in|log ?on|sign ?on|authenticate)\b/i;
+  const STEP_BUTTON_TEXT = /\b(next|continue|verify|send code)\b/i;
+  /* path segments and form names typical of sign‑in pages */
+  const LOGIN_URL_HINTS = /(^|[/._-])(login|log-in|signin|sign-in|sign_in|auth|sso|oauth|mfa|2fa|otp)([/._-]|$)/i;
+  const LOGIN_FORM_NAMES = /(^|[^a-z])(login|log-in|signin|sign-in|sign_in|auth|authenticate|passwd)([^a-z]|$)/i;
+
+  /* the form part of a form's key; sign‑in overrides are stored under it */
+  function getFormLabel(form) {
+    return AutoFormRecoverySettings.getDraftLabel(getFormKey(form));
+  }
+
+  /* the override the user chose for this form on this site: true, false or undefined */
+  function getLoginOverride(form) {
+    const forms = (extensionSettings.loginOverrides || {})[location.hostname];
+    return forms ? forms[getFormLabel(form)] : undefined;
+  }
+
+  /* decide whether a form is a sign‑in form, and why. the first of these that applies decides:
+     - the user's override for this form on this site
+     - a site rule treating every form on the page as a normal form or as a sign‑in form
+     - data-autorecovery="true" on the form, which the page uses to opt it in
+     - ignoreLoginForms turned off, so no form is treated as a sign‑in form
+     - a score from the form's signals, counting as sign‑in at LOGIN_SCORE_THRESHOLD: password fields and their
+       autocomplete tokens, username and one‑time‑code tokens, the submit button's text, how many fields there are
+       and the page address. long forms and forms with a multi‑line field score lower, so profile and billing forms
+       are kept, while the email and code steps of a multi‑step sign‑in still add up
+     returns { login, source ("override", "rule", "page", "setting" or "score"), score, threshold, reasons: [{ points, reason }],
+     password (whether it has a password field) } */
+  function classifyLoginForm(form) {
+    /* virtual forms only own their orphan controls, not everything below the container */
+    const controls = form._autoRecoveryVirtual ? getVirtualControls(form) : queryAllDeep(form, 'input, textarea, select');
+    const inputs = controls.filter(el => el.tagName === 'INPUT');
+    const typeOf = el => (el.getAttribute('type') || '').toLowerCase();
+    const tokensOf = el => (el.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+    const passwords = inputs.filter(el => typeOf(el) === 'password');
+    const result = { login: false, source: 'score', score: 0, threshold: LOGIN_SCORE_THRESHOLD, reasons: [], password: passwords.length > 0 };
+    const override = getLoginOverride(form);
+    if (typeof override === 'boolean') {
+      return Object.assign(result, { login: override, source: 'override' });
+    }
+    const { loginForms } = getSitePolicy();
+    if (loginForms !== 'auto') {
+      return Object.assign(result, { login: loginForms === 'login', source: 'rule' });
+    }
+    /* the page opted the form in */
+    if (form.getAttribute('data-autorecovery') === 'true') {
+      return Object.assign(result, { source: 'page' });
+    }
+    /* if ignoreLoginForms is off, no form is treated as a login form */
     if (extensionSettings && extensionSettings.ignoreLoginForms === false) {
-      return false;
+      return Object.assign(result, { source: 'setting' });
     }
-    /* check for password field */
-    if (form.querySelector('input[type="password"]')) return true;
-    /* gather combined attributes for keyword scanning */
-    const attrs = [
-      form.getAttribute('id') || '',
-      form.getAttribute('name') || '',
-      form.getAttribute('class') || '',
-      form.getAttribute('action') || ''
-    ].join(' ').toLowerCase();
-    /* keyword patterns typical of login pages */
-    const keywords = ['login', 'log-in', 'sign-in', 'signin', 'sign_in', 'auth', 'authenticate', 'authentication', 'account', 'passwd'];
-    if (keywords.some(k => attrs.includes(k))) {
-      return true;
+    const add = (points, reason) => {
+      result.score += points;
+      result.reasons.push({ points, reason });
+    };
+    if (passwords.some(el => tokensOf(el).includes('current-password'))) {
+      add(5, 'password field marked autocomplete="current-password"');
+    } else if (passwords.length && passwords.every(el => tokensOf(el).includes('new-password'))) {
+      add(1, 'only new‑password fields (sign‑up or password change)');
+    } else if (passwords.length) {
+      add(4, 'password field');
     }
-    /* detect forms that only ask for a username or email without other text inputs or textareas */
-    const inputs = Array.from(form.querySelectorAll('input'));
-    const textInputs = inputs.filter(el => {
-      const type = (el.getAttribute('type') || '').toLowerCase();
-      return ['text', 'email', 'tel', 'phone', 'number'].includes(type) || !type;
+    if (inputs.some(el => tokensOf(el).includes('username'))) add(2, 'field marked autocomplete="username"');
+    if (inputs.some(el => tokensOf(el).includes('one-time-code'))) add(3, 'field marked autocomplete="one-time-code"');
+    const textFields = inputs.filter(el => ['text', 'email', 'tel', 'number', ''].includes(typeOf(el)));
+    const multiline = controls.some(el => el.tagName === 'TEXTAREA') || (!form._autoRecoveryVirtual && getEditableRoots(form).length > 0);
+    const savable = controls.filter(el => !['password', 'hidden', 'file'].includes(typeOf(el)) && !BUTTON_TYPES.includes(typeOf(el)));
+    if (multiline) add(-3, 'has a multi‑line text field');
+    if (savable.length > 5) add(-2, `${savable.length} fields`);
+    if (!multiline && textFields.length && textFields.length <= 2 && savable.length <= 3) {
+      add(1, `only ${textFields.length} text ${textFields.length === 1 ? 'field' : 'fields'}`);
+    }
+    const userField = textFields.some(el => {
+      const names = `${el.getAttribute('name') || ''} ${el.id} ${typeOf(el)}`.toLowerCase();
+      return /user|login|email/.test(names);
     });
-    const emailInputs = inputs.filter(el => {
-      const nameAttr = (el.getAttribute('name') || '').toLowerCase();
-      const idAttr = (el.getAttribute('id') || '').toLowerCase();
-      const type = (el.getAttribute('type') || '').toLowerCase();
-      return type === 'email' || nameAttr.includes('email') || idAttr.includes('email');
-    });
-    const passwordInputs = inputs.filter(el => (el.getAttribute('type') || '').toLowerCase() === 'password');
-    const textAreas = Array.from(form.querySelectorAll('textarea'));
-    /* treat small forms with email/user fields and no textarea as login */
-    if (passwordInputs.length === 0 && textAreas.length === 0) {
-      /* if there is at least one email input and the total number of text inputs is <= 1 and inputs count <= 3 */
-      if (emailInputs.length >= 1 && textInputs.length <= 1 && inputs.length <= 3) {
-        return true;
-      }
-      /* forms with a username field but no textarea and <=3 inputs (common on sites requiring username only) */
-      const userInputs = inputs.filter(el => {
-        const nameAttr = (el.getAttribute('name') || '').toLowerCase();
-        const idAttr = (el.getAttribute('id') || '').toLowerCase();
-        return nameAttr.includes('user') || idAttr.includes('user') || nameAttr.includes('login') || idAttr.includes('login');
-      });
-      if (userInputs.length >= 1 && inputs.length <= 3) {
-        return true;
-      }
+    if (userField && savable.length <= 3) add(1, 'username or email field');
+    const buttons = queryAllDeep(form, 'button, input[type="submit"], input[type="image"], [role="button"]')
+      .filter(el => form._autoRecoveryVirtual || getOwnerForm(el) === form);
+    const buttonText = buttons
+      .map(el => `${el.textContent || ''} ${el.value || ''} ${el.getAttribute('aria-label') || ''}`.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+    const loginButton = buttonText.find(text => LOGIN_BUTTON_TEXT.test(text));
+    const stepButton = buttonText.find(text => STEP_BUTTON_TEXT.test(text));
+    if (loginButton) {
+      add(3, `submit button says "${loginButton.slice(0, 40)}"`);
+    } else if (stepButton && textFields.length <= 2 && savable.length <= 3) {
+      add(1, `submit button says "${stepButton.slice(0, 40)}"`);
     }
-    return false;
+    const action = form.getAttribute('action') || '';
+    if (LOGIN_URL_HINTS.test(location.pathname) || LOGIN_URL_HINTS.test(action)) {
+      add(2, 'page or form address looks like a sign‑in page');
+    }
+    const names = `${form.getAttribute('id') || ''} ${form.getAttribute('name') || ''} ${form.getAttribute('class') || ''}`;
+    if (LOGIN_FORM_NAMES.test(names)) add(1, 'form id, name or class mentions sign‑in');
+    result.login = result.score >= LOGIN_SCORE_THRESHOLD;
+    return result;
   }
 
-  /* iterate form elements and record values keyed by name+value for checkboxes/radios or id/index for others; write to storage.local */
-  function saveFormData(form) {
-    /* skip login forms that contain a password field */
-    if (isLoginForm(form)) return;
-    const key = getFormKey(form);
-    const data = {};
-    Array.from(form.elements).forEach((el, index) => {
-      /* skip unsupported elements; derive a key per element; for checkboxes and radios use name+value to avoid collisions */
+  /* forms whose classification is cached; it is dropped when nodes are added or removed inside a form and when the
+     settings change */
+  const classifiedForms = new Set();
+
+  /* the form's cached classification (see classifyLoginForm), computed the first time it is asked for */
+  function getLoginClassification(form) {
+    if (!form._autoRecoveryLogin) {
+      form._autoRecoveryLogin = classifyLoginForm(form);
+      classifiedForms.add(form);
+    }
+    return form._autoRecoveryLogin;
+  }
+
+  /* drop the cached classification of the forms containing node, or of every form when no node is given */
+  function forgetLoginClassification(node) {
+    classifiedForms.forEach(form => {
+      if (node && !composedContains(form, node)) return;
+      form._autoRecoveryLogin = null;
+      classifiedForms.delete(form);
+    });
+  }
+
+  /* return true if the form is treated as a sign‑in form, which is neither saved nor restored */
+  function isLoginForm(form) {
+    return getLoginClassification(form).login;
+  }
+
+  /* return true if the page opted a form out with data-autorecovery="false" on the form (or the container or
+     editable region standing in for one); this wins over every setting */
+  function isOptedOut(form) {
+    return form.getAttribute('data-autorecovery') === 'false';
+  }
+
+  /* return true if a form is saved and restored: the page has not opted it out and it is not a sign‑in form */
+  function shouldRecoverForm(form) {
+    return !isOptedOut(form) && !isLoginForm(form);
+  }
+
+  /* return true if the element is the outermost node of a contenteditable region (nested nodes belong to their root) */
+  function isEditableRoot(el) {
+    if (!el.isContentEditable) return false;
+    const parent = el.parentElement;
+    return !parent || !parent.isContentEditable;
+  }
+
+  /* collect editable roots inside a container; rich‑text editors (ProseMirror, Quill, TinyMCE inline) render as contenteditable */
+  function getEditableRoots(container) {
+    return queryAllDeep(container, '[contenteditable]:not([contenteditable="false"])').filter(isEditableRoot);
+  }
+
+  /* list the savable fields of a form as { el, fieldKey } pairs; keys are stable between save and restore.
+     checkboxes and radios use name+value to avoid collisions; editable regions use id/name/aria-label or their index */
+  function getFormFields(form) {
+    const fields = [];
+    /* a real form also owns the controls web components render in shadow roots under it */
+    const controls = form._autoRecoveryVirtual ? getVirtualControls(form) : Array.from(form.elements || [])
+      .concat(queryAllDeep(form, 'input, textarea, select').filter(el => !el.form && getOwnerForm(el) === form));
+    controls.filter(el => !isAriaWidget(el)).forEach((el, index) => {
       if (!shouldSaveField(el)) return;
       const tag = el.tagName.toLowerCase();
+      if (isCustomControl(el)) {
+        if (getCustomValue(el) !== null) fields.push({ el, fieldKey: el.getAttribute('name') || el.id || `${tag}_${index}` });
+        return;
+      }
       if (tag !== 'input' && tag !== 'textarea' && tag !== 'select') return;
       let fieldKey = el.name || el.id || `${tag}_${index}`;
       if (el.type === 'checkbox' || el.type === 'radio') {
+        /* unnamed boxes are told apart by their label rather than a position that shifts when the form changes */
+        const label = getFieldLabel(el);
         if (el.name) {
           fieldKey = `${el.name}_${el.value}`;
+        } else if (!el.id && label) {
+          fieldKey = `${el.type}_${label}`;
         }
-        data[fieldKey] = el.checked;
-      } else {
-        data[fieldKey] = el.value;
       }
+      fields.push({ el, fieldKey });
     });
-    const obj = {};
-    obj[key] = {
-      data,
-      timestamp: Date.now()
-    };
-    chrome.storage.local.set(obj);
-    console.log('[AutoFormRecovery] Saved form', key, data);
+    const widgets = form._autoRecoveryVirtual ? controls.filter(isAriaWidget)
+      : queryAllDeep(form, ARIA_WIDGETS).filter(el => isAriaWidget(el) && getOwnerForm(el) === form);
+    widgets.forEach((el, index) => {
+      if (!shouldSaveField(el)) return;
+      fields.push({ el, fieldKey: `${el.getAttribute('role')}_${el.id || getFieldLabel(el) || index}` });
+    });
+    /* standalone editables are recovered on their own, so virtual forms leave them out */
+    const editables = form._autoRecoveryVirtual ? [] : isEditableRoot(form) ? [form] : getEditableRoots(form);
+    editables.forEach((el, index) => {
+      if (!shouldSaveField(el)) return;
+      const identifier = el.id || el.getAttribute('name') || el.getAttribute('aria-label');
+      fields.push({ el, fieldKey: `editable_${identifier || index}` });
+    });
+    return fields;
   }
 
-  /* restore saved data if available; remove expired entries; flash a message when values are applied */
-  function restoreFormData(form) {
-    /* skip login forms that contain a password field */
-    if (isLoginForm(form)) return;
-    const key = getFormKey(form);
-    chrome.storage.local.get(key, result => {
-      if (!result || !result[key]) return;
-      const entry = result[key];
-      const saved = entry.data || entry;
-      /* compute retention window in milliseconds */
-      const retentionMs = (extensionSettings.retentionDays || 30) * 24 * 60 * 60 * 1000;
-      /* remove expired data */
-      if (entry.timestamp && Date.now() - entry.timestamp > retentionMs) {
-        chrome.storage.local.remove(key);
-        return;
-      }
-      let restoredAny = false;
-      Array.from(form.elements).forEach((el, index) => {
-        if (!shouldSaveField(el)) return;
-        const tag = el.tagName.toLowerCase();
-        if (tag !== 'input' && tag !== 'textarea' && tag !== 'select') return;
-        /* build the same key used when saving */
-        let fieldKey = el.name || el.id || `${tag}_${index}`;
-        if (el.type === 'checkbox' || el.type === 'radio') {
-          if (el.name) {
-            fieldKey = `${el.name}_${el.value}`;
-          }
-        }
-        if (saved.hasOwnProperty(fieldKey)) {
-          if (el.type === 'checkbox' || el.type === 'radio') {
-            el.checked = saved[fieldKey];
-          } else {
-            el.value = saved[fieldKey];
-          }
-          restoredAny = true;
+  /* strip scripts, embedded frames, inline handlers and javascript: urls from saved editor markup */
+  function sanitizeHtml(html) {
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    doc.body.querySelectorAll('script, style, iframe, frame, object, embed, link, meta, base').forEach(node => node.remove());
+    doc.body.querySelectorAll('*').forEach(node => {
+      Array.from(node.attributes).forEach(attr => {
+        const name = attr.name.toLowerCase();
+        const isUrlAttr = ['href', 'src', 'xlink:href', 'action', 'formaction'].includes(name);
+        if (name.startsWith('on') || (isUrlAttr && /^\s*javascript:/i.test(attr.value))) {
+          node.removeAttribute(attr.name);
         }
       });
-      if (restoredAny) {
-        showRestoreNotification();
-        console.log('[AutoFormRecovery] Restored form', key);
-      }
     });
+    return doc.body.innerHTML;
   }
 
-  /* show a temporary banner to inform the user that data has been restored */
-  function showRestoreNotification() {
-    /* skip if a notice is already visible */
-    if (document.querySelector('.auto-form-recovery-notice')) return;
-    const notice = document.createElement('div');
-    notice.className = 'auto-form-recovery-notice';
-    notice.textContent = 'Form data has been restored by Auto Form Recovery';
-    Object.assign(notice.style, {
-      position: 'fixed',
-      top: '10px',
-      right: '10px',
-      background: '#4caf50',
-      color: '#fff',
-      padding: '8px 12px',
-      borderRadius: '4px',
-      zIndex: '999999',
-      boxShadow: '0 2px 6px rgba(0,0,0,0.3)',
-      fontSize: '14px'
-    });
-    document.body.appendChild(notice);
+  /* collapse whitespace so editor‑specific line handling does not defeat text comparisons */
+  function normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /* replace the current selection with the whole content of an editable region */
+  function selectEditableContents(el) {
+    const selection = window.getSelection();
+    if (!selection) return;
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  /* put saved content back into an editable region. editing commands are used first so editors see the change
+     through their own input pipeline; if an editor rejects the markup, fall back to plain text */
+  function applyEditableValue(el, value) {
+    const html = typeof value === 'string' ? null : sanitizeHtml(value.html || '');
+    const text = typeof value === 'string' ? value : value.text || '';
+    if (normalizeText(el.innerText) === normalizeText(text)) return;
+    const previousFocus = document.activeElement;
+    el.focus();
+    selectEditableContents(el);
+    let applied = html !== null && document.execCommand('insertHTML', false, html);
+    if (!applied || normalizeText(el.innerText) !== normalizeText(text)) {
+      selectEditableContents(el);
+      applied = document.execCommand('insertText', false, text);
+    }
+    if (!applied) {
+      if (html !== null) {
+        el.innerHTML = html;
+      } else {
+        el.textContent = text;
+      }
+    }
+    if (previousFocus && previousFocus !== el && previousFocus.focus) previousFocus.focus();
+    /* some editors re‑render asynchronously and drop foreign markup; keep at least the text */
     setTimeout(() => {
-      notice.remove();
-    }, 4000);
+      if (text && normalizeText(el.innerText) !== normalizeText(text)) {
+        el.textContent = text;
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+      }
+    }, 300);
   }
 
-  /* attach debounced input/change listeners to persist form data */
-  function monitorForm(form) {
-    if (form._autoRecoveryAttached) return;
-    /* skip login forms; do not attach listeners */
-    if (isLoginForm(form)) return;
-    form._autoRecoveryAttached = true;
-    const debouncedSave = debounce(() => saveFormData(form), 500);
-    form.addEventListener('input', debouncedSave);
-    form.addEventListener('change', debouncedSave);
-    console.log('[AutoFormRecovery] Monitoring form', getFormKey(form));
+  /* number of snapshots kept per form */
+  const HISTORY_LIMIT = 10;
+  /* a snapshot keeps absorbing small edits for this long before a new one is started */
+  const HISTORY_SESSION_MS = 5 * 60 * 1000;
+  /* edits larger than this many characters (e.g. clearing a textarea) always start a new snapshot */
+  const HISTORY_MIN_CHANGE = 20;
+
+  /* read the current value of every savable field; editable regions keep both markup and a plain‑text fallback.
+     sensitive values are skipped or stored masked (settings.sensitiveAction) unless raw values are asked for, as
+     for the in‑memory undo copy; masked values are never restored into fields */
+  function collectFormData(form, raw) {
+    const data = {};
+    const mask = extensionSettings.sensitiveAction === 'mask';
+    getFormFields(form).forEach(({ el, fieldKey }) => {
+      if (el.type === 'checkbox' || el.type === 'radio') {
+        data[fieldKey] = el.checked;
+        return;
+      }
+      if (el.tagName === 'SELECT' && el.multiple) {
+        data[fieldKey] = getSelectedValues(el);
+        return;
+      }
+      if (isAriaWidget(el) && el.getAttribute('role') !== 'combobox') {
+        data[fieldKey] = getWidgetValue(el);
+        return;
+      }
+      const value = el.isContentEditable ? el.innerText
+        : isAriaWidget(el) ? getWidgetValue(el)
+          : isCustomControl(el) ? getCustomValue(el) : el.value;
+      if (raw) {
+        data[fieldKey] = el.isContentEditable ? { html: sanitizeHtml(el.innerHTML), text: value } : value;
+        return;
+      }
+      const multiline = el.isContentEditable || el.tagName === 'TEXTAREA';
+      const category = getSensitiveFieldCategory(el) || (multiline ? null : getSensitiveValueCategory(value));
+      if (category) {
+        if (mask && value) data[fieldKey] = { masked: maskValue(value), sensitive: category };
+        return;
+      }
+      if (el.isContentEditable) {
+        data[fieldKey] = { html: redactHtml(sanitizeHtml(el.innerHTML)), text: redactText(value) };
+      } else {
+        data[fieldKey] = multiline ? redactText(value) : value;
+      }
+    });
+    return data;
   }
 
-  /* simple debounce utility */
-  function debounce(fn, wait) {
-    let timeout;
-    return (...args) => {
-      clearTimeout(timeout);
-      timeout = setTimeout(() => fn.apply(null, args), wait);
-    };
+  /* number of characters that differ between two serialized snapshots, ignoring their common prefix and suffix */
+  function changedChars(a, b) {
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+    return Math.max(a.length, b.length) - prefix - suffix;
   }
 
-  /* initialize recovery on current forms and observe the DOM for future forms */
-  function initAutoFormRecovery() {
-    /* skip recovery if the extension is disabled or the domain is ignored */
-    const hostname = location.hostname;
-    if (!extensionSettings.enabled || extensionSettings.ignoreDomains.includes(hostname)) {
-      console.log('[AutoFormRecovery] Disabled on this domain:', hostname);
+  /* append a snapshot to an entry's history; small edits within one typing session replace the latest snapshot
+     instead of adding a new one, so the list stays readable and a sudden wipe never pushes out the good draft */
+  function addHistorySnapshot(history, data, now) {
+    const list = Array.isArray(history) ? history.slice() : [];
+    const latest = list[list.length - 1];
+    const serialized = JSON.stringify(data);
+    if (latest) {
+      const previous = JSON.stringify(latest.data);
+      if (previous === serialized) {
+        return list;
+      }
+      if (now - (latest.since || latest.timestamp) < HISTORY_SESSION_MS && changedChars(previous, serialized) <= HISTORY_MIN_CHANGE) {
+        list[list.length - 1] = { data, timestamp: now, since: latest.since || latest.timestamp };
+        return list;
+      }
+    }
+    list.push({ data, timestamp: now, since: now });
+    return list.slice(-HISTORY_LIMIT);
+  }
+
+  /* hand the entry stored under key to callback in plaintext form; encrypted entries are opened by the background
+     script, which reads them from storage by key. callback receives null while the encrypted store is locked */
+  function readEntry(key, entry, callback) {
+    if (!entry || !entry.encrypted) {
+      callback(entry);
       return;
     }
-    /* process existing forms */
-    Array.from(document.forms).forEach(form => {
-      if (!isLoginForm(form)) {
-        restoreFormData(form);
-        monitorForm(form);
+    chrome.runtime.sendMessage({ type: 'OPEN_DRAFTS', entries: { [key]: entry } }, response => {
+      if (chrome.runtime.lastError || !response || response.locked || response.error || !response.entries[key]) {
+        callback(null);
+        return;
       }
+      callback(response.entries[key]);
     });
-    /* observe the page for new forms */
-    const observer = new MutationObserver(mutations => {
-      mutations.forEach(mutation => {
-        mutation.addedNodes.forEach(node => {
-          if (node.nodeType === 1) {
-            if (node.tagName === 'FORM') {
-              if (!isLoginForm(node)) {
-                restoreFormData(node);
-                monitorForm(node);
-              }
-            } else {
-              /* search inside for nested forms */
-              node.querySelectorAll && node.querySelectorAll('form').forEach(form => {
-                if (!isLoginForm(form)) {
-                  restoreFormData(form);
-                  monitorForm(form);
+  }
+
+  /* whether drafts are sealed before they are stored, kept current by storage.onChanged */
+  let encryptionEnabled = false;
+
+  /* a new latest draft holding the form's current values (or values, if given), with the previous draft's history
+     carried over; restored values of fields that have not rendered yet are kept until they can be put back */
+  function buildEntry(form, previous, extra, values) {
+    const data = values || Object.assign({}, form._autoRecoveryUnrestored, collectFormData(form));
+    const now = Date.now();
+    const retentionDays = getPageRetentionDays(form);
+    return Object.assign({
+      data,
+      timestamp: now,
+      history: addHistorySnapshot(previous && previous.history, data, now)
+    }, retentionDays ? { retentionDays } : null, extra);
+  }
+
+  /* fields stored next to a sealed draft saved while the store is locked: the older history cannot be read then, so
+     the last fully readable version is kept aside as "earlier" */
+  function getLockedFields(previous, stored) {
+    if (previous) return {};
+    const fields = { lockedSave: true };
+    const earlier = stored.earlier || (!stored.lockedSave && stored.encrypted);
+    if (earlier) fields.earlier = earlier;
+    return fields;
+  }
+
+  /* remember the draft a form's next save continues from: the key it is stored under, its readable entry (null when
+     it is sealed and the store is locked) and what is in storage, so a save can be built without reading storage
+     first */
+  function rememberStoredEntry(form, key, previous, stored) {
+    form._autoRecoveryLast = { key, previous: previous || null, stored: stored || {} };
+  }
+
+  /* record the form's values as its latest draft and add them to the draft history; write to storage.local.
+     extra fields (e.g. submittedAt) are stored on the entry; a plain save drops them again.
+     when encryption is on, the entry is sealed by the background script and never written in plaintext; a save
+     made while locked cannot read the older history (see getLockedFields).
+     a retention the page set with data-autorecovery-retention is stored on the entry, so the background purge sees it.
+     callback, if given, receives whether the draft was stored; data, if given, is stored instead of the form's
+     current values */
+  function saveFormData(form, extra, callback, data) {
+    /* skip login forms and forms the page opted out */
+    if (!shouldRecoverForm(form)) return;
+    const key = getFormKey(form);
+    /* a later save, such as a flush on page hide, supersedes this one */
+    const saveId = form._autoRecoverySaveId = (form._autoRecoverySaveId || 0) + 1;
+    const finish = state => {
+      showSaveIndicator(form, state);
+      if (state === 'saved') notifyPage(form, 'saved', { key: getExplicitKey(form) || getFormLabel(form), timestamp: Date.now() });
+      if (callback) callback(state === 'saved');
+    };
+    /* a draft matched by similarity now lives under this form's key and brings its history along */
+    const sourceKey = form._autoRecoverySourceKey && form._autoRecoverySourceKey !== key ? form._autoRecoverySourceKey : null;
+    chrome.storage.local.get(sourceKey ? [key, sourceKey, 'encryption'] : [key, 'encryption'], items => {
+      /* the draft this form continues: the one it was matched to, if any, else its own */
+      const storedKey = sourceKey && items[sourceKey] ? sourceKey : key;
+      const stored = items[storedKey] || {};
+      readEntry(storedKey, stored, previous => {
+        if (form._autoRecoverySaveId !== saveId) {
+          finish('saved');
+          return;
+        }
+        const entry = buildEntry(form, previous, extra, data);
+        const write = value => {
+          const obj = {};
+          obj[key] = value;
+          rememberStoredEntry(form, key, previous || !stored.encrypted ? entry : null, value);
+          chrome.storage.local.set(obj, () => {
+            if (!chrome.runtime.lastError) {
+              finish('saved');
+              return;
+            }
+            /* the browser's quota is full: have the background evict old drafts, then try once more */
+            const bytes = JSON.stringify(obj).length;
+            chrome.runtime.sendMessage({ type: 'FREE_STORAGE', bytes }, () => {
+              chrome.storage.local.set(obj, () => {
+                if (chrome.runtime.lastError) {
+                  console.log('[AutoFormRecovery] Could not save form, storage is full', key);
+                  finish('failed');
+                } else {
+                  finish('saved');
                 }
               });
-            }
+            });
+          });
+          if (sourceKey) {
+            chrome.storage.local.remove(sourceKey);
+            form._autoRecoverySourceKey = null;
+          }
+          console.log('[AutoFormRecovery] Saved form', key, items.encryption ? '(encrypted)' : entry.data);
+        };
+        if (!items.encryption) {
+          write(entry);
+          return;
+        }
+        chrome.runtime.sendMessage({ type: 'SEAL_DRAFT', entry }, response => {
+          if (chrome.runtime.lastError || !response || response.error) {
+            console.log('[AutoFormRecovery] Could not encrypt draft', key);
+            finish('failed');
+            return;
           }
+          write(Object.assign(response.entry, getLockedFields(previous, stored)));
         });
       });
     });
-    observer.observe(document.documentElement || document.body, {
-      childList: true,
-      subtree: true
+  }
+
+  /* save a form without reading storage first, from the draft remembered at its last save or restore; used when the
+     page is hidden or unloading, where the page may be gone before an asynchronous read answers. the write is sent
+     before this returns; with encryption on, the background seals and stores the entry. returns false when nothing
+     is remembered for the form yet */
+  function saveFormDataNow(form) {
+    if (!shouldRecoverForm(form)) return true;
+    const key = getFormKey(form);
+    const sourceKey = form._autoRecoverySourceKey && form._autoRecoverySourceKey !== key ? form._autoRecoverySourceKey : null;
+    const last = form._autoRecoveryLast;
+    if (!last || (last.key !== key && last.key !== sourceKey)) return false;
+    form._autoRecoverySaveId = (form._autoRecoverySaveId || 0) + 1;
+    const entry = buildEntry(form, last.previous);
+    if (encryptionEnabled) {
+      const lockedFields = getLockedFields(last.previous, last.stored);
+      chrome.runtime.sendMessage({ type: 'SEAL_DRAFT', entry, key, extra: lockedFields }, () => void chrome.runtime.lastError);
+      rememberStoredEntry(form, key, last.previous || !last.stored.encrypted ? entry : null, Object.assign({ encrypted: true }, lockedFields));
+    } else {
+      const obj = {};
+      obj[key] = entry;
+      chrome.storage.local.set(obj, () => void chrome.runtime.lastError);
+      rememberStoredEntry(form, key, entry, entry);
+    }
+    if (sourceKey) {
+      chrome.storage.local.remove(sourceKey);
+      form._autoRecoverySourceKey = null;
+    }
+    console.log('[AutoFormRecovery] Saved form on page hide', key);
+    return true;
+  }
+
+  /* forms whose encrypted draft is waiting for the store to be unlocked */
+  const lockedForms = new Set();
+
+  /* restore saved data if available, falling back to the most similar draft for this page; remove expired entries.
+     whether values are applied right away depends on the restore policy */
+  function restoreFormData(form) {
+    /* skip login forms and forms the page opted out */
+    if (!shouldRecoverForm(form)) return;
+    const key = getFormKey(form);
+    chrome.storage.local.get(key, result => {
+      if (result && result[key]) {
+        readEntry(key, result[key], entry => {
+          rememberStoredEntry(form, key, entry, result[key]);
+          if (!entry) {
+            /* restore once the popup unlocks the drafts */
+            lockedForms.add(form);
+            console.log('[AutoFormRecovery] Draft is locked', key);
+            return;
+          }
+          if (!isFingerprintKey(key)) {
+            offerSavedEntry(form, key, entry);
+            return;
+          }
+          /* a fingerprint key may hold a stale draft from before the form's fields changed; a newer draft of the
+             same form under another fingerprint wins, and moves under this key on the next save */
+          findSimilarEntry(form, key, match => {
+            if (match && (match.entry.timestamp || 0) > (entry.timestamp || 0)) {
+              form._autoRecoverySourceKey = match.key;
+              rememberStoredEntry(form, match.key, match.entry, match.entry);
+              console.log('[AutoFormRecovery] Newer draft found by similarity', match.key, match.score);
+              offerSavedEntry(form, match.key, match.entry);
+            } else {
+              offerSavedEntry(form, key, entry);
+            }
+          });
+        });
+        return;
+      }
+      rememberStoredEntry(form, key, null, null);
+      findSimilarEntry(form, key, match => {
+        if (!match) return;
+        form._autoRecoverySourceKey = match.key;
+        rememberStoredEntry(form, match.key, match.entry, match.entry);
+        console.log('[AutoFormRecovery] Matched draft by similarity', match.key, match.score);
+        offerSavedEntry(form, match.key, match.entry);
+      });
+    });
+  }
+
+  /* return true (and drop the entry) if a stored entry is older than the retention window; a retention the page set
+     for the form can shorten it but not extend it */
+  function isExpiredEntry(key, entry) {
+    /* compute retention window in milliseconds */
+    const userDays = getSitePolicy().retentionDays || extensionSettings.retentionDays || 30;
+    const retentionDays = entry.retentionDays ? Math.min(entry.retentionDays, userDays) : userDays;
+    const retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+    /* remove expired data */
+    if (entry.timestamp && Date.now() - entry.timestamp > retentionMs) {
+      chrome.storage.local.remove(key);
+      return true;
+    }
+    return false;
+  }
+
+  /* return true if a saved value can be written back into a field (masked values never are) */
+  function isRestorableValue(saved, fieldKey) {
+    const value = saved[fieldKey];
+    return saved.hasOwnProperty(fieldKey) && !(value && typeof value === 'object' && 'masked' in value);
+  }
+
+  /* values of the selected options of a <select multiple> */
+  function getSelectedValues(select) {
+    return Array.from(select.selectedOptions || []).map(option => option.value);
+  }
+
+  /* return true if two saved values are equal; multi‑selects and listboxes store arrays */
+  function sameValue(a, b) {
+    if (Array.isArray(a) || Array.isArray(b)) return JSON.stringify(a) === JSON.stringify(b);
+    return a === b;
+  }
+
+  /* return true if the field already holds the saved value */
+  function fieldHasValue(el, value) {
+    if (isAriaWidget(el)) return sameValue(getWidgetValue(el), value);
+    if (isCustomControl(el)) return getCustomValue(el) === value;
+    if (el.type === 'checkbox' || el.type === 'radio') return el.checked === value;
+    if (el.tagName === 'SELECT' && el.multiple) return sameValue(getSelectedValues(el), value);
+    return el.value === value;
+  }
+
+  /* set an aria widget by clicking it the way a user would, since its state lives in the page's own code:
+     checkboxes and switches are toggled, listbox options clicked until the selection matches, and a combobox is
+     opened so the option carrying the saved text can be picked once its popup has rendered */
+  function setWidgetValue(el, value) {
+    const role = el.getAttribute('role');
+    if (role === 'checkbox' || role === 'switch') {
+      el.click();
+      return;
+    }
+    const options = getWidgetOptions(el);
+    if (role === 'listbox') {
+      const wanted = Array.isArray(value) ? value : [value];
+      const multiple = el.getAttribute('aria-multiselectable') === 'true';
+      options.forEach(option => {
+        const selected = option.getAttribute('aria-selected') === 'true';
+        const want = wanted.includes(widgetText(option));
+        if (want ? !selected : selected && multiple) option.click();
+      });
+      return;
+    }
+    const option = options.find(item => widgetText(item) === value);
+    if (option) {
+      option.click();
+    } else if (el.getAttribute('aria-expanded') !== 'true' && !(Date.now() - (el._autoRecoveryOpenedAt || 0) < DEFERRED_RESTORE_MS)) {
+      el._autoRecoveryOpenedAt = Date.now();
+      el.click();
+    }
+  }
+
+  /* set a field the way a user would, so react, vue and angular pick it up: the value goes through the native
+     prototype setter (bypassing instance‑level overrides frameworks install to track values), then input and change
+     events are dispatched. checkboxes and radios are clicked, since react listens to click for them */
+  function setFieldValue(el, value) {
+    if (fieldHasValue(el, value)) return;
+    if (isAriaWidget(el)) {
+      setWidgetValue(el, value);
+      return;
+    }
+    if (isCustomControl(el)) {
+      setCustomValue(el, value);
+      el.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+      return;
+    }
+    if (el.type === 'checkbox' || el.type === 'radio') {
+      if (value || el.type === 'checkbox') {
+        el.click();
+      }
+      /* a handler may have cancelled the click */
+      if (el.checked !== value) {
+        Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'checked').set.call(el, value);
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+      return;
+    }
+    if (el.tagName === 'SELECT') {
+      const values = Array.isArray(value) ? value : [value];
+      const options = Array.from(el.options);
+      /* options that are not there yet (loaded later) are left for the deferred restore */
+      if (!el.multiple && !options.some(option => option.value === value)) return;
+      if (el.multiple) {
+        options.forEach(option => { option.selected = values.includes(option.value); });
+        el.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+        return;
+      }
+    }
+    const prototype = el.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype
+      : el.tagName === 'SELECT' ? HTMLSelectElement.prototype
+        : HTMLInputElement.prototype;
+    Object.getOwnPropertyDescriptor(prototype, 'value').set.call(el, value);
+    el.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  /* write saved values into the form's fields; returns true if any field was set */
+  function applyFormValues(form, saved) {
+    let restoredAny = false;
+    getFormFields(form).forEach(({ el, fieldKey }) => {
+      if (isRestorableValue(saved, fieldKey)) {
+        if (el.isContentEditable) {
+          applyEditableValue(el, saved[fieldKey]);
+        } else {
+          setFieldValue(el, saved[fieldKey]);
+        }
+        restoredAny = true;
+      }
+    });
+    return restoredAny;
+  }
+
+  /* return true for values that lose nothing when their field is gone (unchecked boxes, empty text or selections) */
+  function isEmptyValue(value) {
+    return value === false || value === '' || (Array.isArray(value) && !value.length);
+  }
+
+  /* keys of restorable saved values that the form does not hold: the field is not rendered yet, its options have
+     not loaded, or the page rejected the value */
+  function getMissingFields(form, saved) {
+    const fields = getFormFields(form);
+    return Object.keys(saved).filter(fieldKey => {
+      if (!isRestorableValue(saved, fieldKey)) return false;
+      const field = fields.find(item => item.fieldKey === fieldKey);
+      if (!field) return !isEmptyValue(saved[fieldKey]);
+      return !field.el.isContentEditable && !fieldHasValue(field.el, saved[fieldKey]);
+    });
+  }
+
+  /* how long to keep retrying fields that are not ready after a restore, and how often */
+  const DEFERRED_RESTORE_MS = 10000;
+  const DEFERRED_RESTORE_INTERVAL = 500;
+
+  /* keep applying saved values whose fields, options or widget popups load after the page; whatever is still
+     missing when the time is up (or the user starts editing) is reported in the banner */
+  function restoreMissingFields(form, key, saved, missing) {
+    const startedAt = Date.now();
+    let remaining = missing;
+    const pick = fieldKeys => {
+      const values = {};
+      fieldKeys.forEach(fieldKey => { values[fieldKey] = saved[fieldKey]; });
+      return values;
+    };
+    /* saves made meanwhile keep these values, so the draft does not lose fields that have not rendered yet */
+    form._autoRecoveryUnrestored = pick(missing);
+    const timer = setInterval(() => {
+      const pending = pick(remaining);
+      const stop = form._autoRecoveryUserEdited || !form.isConnected || !active || Date.now() - startedAt >= DEFERRED_RESTORE_MS;
+      if (!stop) applyFormValues(form, pending);
+      remaining = form.isConnected ? getMissingFields(form, pending) : remaining;
+      form._autoRecoveryUnrestored = remaining.length && !stop ? pick(remaining) : null;
+      if (remaining.length && !stop) return;
+      clearInterval(timer);
+      if (remaining.length) {
+        console.log('[AutoFormRecovery] Could not restore fields', key, remaining);
+        bannerState.unrestored = bannerState.unrestored.concat(remaining);
+        renderBanner();
+      } else {
+        console.log('[AutoFormRecovery] Restored late fields', key, missing);
+      }
+    }, DEFERRED_RESTORE_INTERVAL);
+  }
+
+  /* checks after a restore, in ms; frameworks that re‑render from stale state usually do so within this window */
+  const REAPPLY_DELAYS = [100, 500, 1500, 3000];
+
+  /* re‑apply restored values the page cleared or replaced shortly after the restore, until the user edits the form.
+     fields are looked up again each time because a re‑render may have swapped the elements */
+  function guardRestoredValues(form, saved) {
+    form._autoRecoveryUserEdited = false;
+    REAPPLY_DELAYS.forEach(delay => {
+      setTimeout(() => {
+        if (form._autoRecoveryUserEdited || !form.isConnected || !active) return;
+        getFormFields(form).forEach(({ el, fieldKey }) => {
+          if (el.isContentEditable || !isRestorableValue(saved, fieldKey) || fieldHasValue(el, saved[fieldKey])) return;
+          setFieldValue(el, saved[fieldKey]);
+          console.log('[AutoFormRecovery] Re-applied restored value', fieldKey);
+        });
+      }, delay);
+    });
+  }
+
+  /* handle a stored draft according to settings.restorePolicy:
+     - "auto": restore right away and offer undo in the banner
+     - "ask": show the banner and wait for the user to restore or discard
+     - "never": leave the form alone; the draft stays available from the popup
+     drafts of submitted forms that are still within the grace period are always offered, never auto‑restored */
+  function offerSavedEntry(form, key, entry) {
+    if (isExpiredEntry(key, entry)) return;
+    if (entry.submittedAt && Date.now() - entry.submittedAt >= getSubmitGraceMs()) {
+      chrome.storage.local.remove(key);
+      return;
+    }
+    const policy = extensionSettings.restorePolicy || 'auto';
+    if (policy === 'never') return;
+    /* a submitted draft is only kept in case the submit failed, so never put it back without asking */
+    if (policy === 'ask' || entry.submittedAt) {
+      if (!bannerState.pending.some(item => item.form === form)) {
+        bannerState.pending.push({ form, key, entry });
+      }
+      renderBanner();
+      return;
+    }
+    applySavedEntry(form, key, entry);
+  }
+
+  /* write a stored entry (or one of its history snapshots) into the form's fields, remembering the values it
+     replaced so the banner can undo it */
+  function applySavedEntry(form, key, entry) {
+    if (isExpiredEntry(key, entry)) return;
+    const previous = collectFormData(form, true);
+    const saved = entry.data;
+    const applied = applyFormValues(form, saved);
+    const missing = getMissingFields(form, saved);
+    if (applied || missing.length) {
+      touchEntry(key);
+      guardRestoredValues(form, saved);
+      restoredForms.add(form);
+      scheduleStatusReport();
+      notifyPage(form, 'restored', {
+        key: getExplicitKey(form) || getFormLabel(form),
+        timestamp: entry.timestamp,
+        fields: Object.keys(saved).filter(fieldKey => isRestorableValue(saved, fieldKey))
+      });
+      bannerState.restored.push({ form, previous });
+      renderBanner();
+      console.log('[AutoFormRecovery] Restored form', key);
+    }
+    if (missing.length) restoreMissingFields(form, key, saved, missing);
+  }
+
+  /* record when a draft was last restored; when storage is over budget the least recently used drafts go first */
+  function touchEntry(key) {
+    chrome.storage.local.get(key, result => {
+      if (result && result[key]) chrome.storage.local.set({ [key]: Object.assign({}, result[key], { usedAt: Date.now() }) });
+    });
+  }
+
+  /* drafts waiting for a decision, restores that can still be undone and fields that could not be restored */
+  const bannerState = { host: null, root: null, pending: [], restored: [], unrestored: [], hideTimer: null };
+
+  /* styles for the banner; it lives in a closed shadow root so page css cannot reach it */
+  const BANNER_STYLE = `
+    :host { all: initial; }
+    .banner { position: fixed; top: 10px; right: 10px; z-index: 2147483647; display: flex; align-items: center;
+      gap: 8px; max-width: 420px; background: #4caf50; color: #fff; padding: 8px 12px; border-radius: 4px;
+      box-shadow: 0 2px 6px rgba(0,0,0,0.3); font: 14px/1.4 sans-serif; }
+    .message { flex: 1; }
+    button { font: inherit; font-size: 13px; color: #2e7d32; background: #fff; border: none; border-radius: 3px;
+      padding: 3px 8px; cursor: pointer; }
+    button.close { color: #fff; background: none; font-size: 16px; padding: 0 2px; }
+  `;
+
+  /* create the banner host on first use */
+  function getBannerRoot() {
+    if (bannerState.host && bannerState.host.isConnected) return bannerState.root;
+    const host = document.createElement('div');
+    host.className = 'auto-form-recovery-notice';
+    const root = host.attachShadow({ mode: 'closed' });
+    const style = document.createElement('style');
+    style.textContent = BANNER_STYLE;
+    const banner = document.createElement('div');
+    banner.className = 'banner';
+    banner.setAttribute('role', 'status');
+    root.appendChild(style);
+    root.appendChild(banner);
+    (document.body || document.documentElement).appendChild(host);
+    bannerState.host = host;
+    bannerState.root = root;
+    return root;
+  }
+
+  /* remove the banner and forget pending decisions and undo data */
+  function hideBanner() {
+    clearTimeout(bannerState.hideTimer);
+    if (bannerState.host) bannerState.host.remove();
+    bannerState.host = null;
+    bannerState.root = null;
+    bannerState.pending = [];
+    bannerState.restored = [];
+    bannerState.unrestored = [];
+  }
+
+  /* restore every draft waiting for a decision */
+  function restorePendingDrafts() {
+    const pending = bannerState.pending;
+    bannerState.pending = [];
+    pending.forEach(({ form, key, entry }) => applySavedEntry(form, key, entry));
+    renderBanner();
+  }
+
+  /* delete the drafts waiting for a decision */
+  function discardPendingDrafts() {
+    const keys = bannerState.pending.map(item => item.key);
+    if (keys.length) chrome.storage.local.remove(keys);
+    console.log('[AutoFormRecovery] Discarded drafts', keys);
+    hideBanner();
+  }
+
+  /* put back the values the fields held before the restore */
+  function undoRestore() {
+    bannerState.restored.forEach(({ form, previous }) => {
+      /* stop re‑applying the restored values */
+      form._autoRecoveryUserEdited = true;
+      applyFormValues(form, previous);
+      restoredForms.delete(form);
+    });
+    scheduleStatusReport();
+    hideBanner();
+  }
+
+  /* draw the banner for the current state: pending drafts ask for a decision, finished restores offer undo */
+  function renderBanner() {
+    const { pending, restored, unrestored } = bannerState;
+    if (!pending.length && !restored.length && !unrestored.length) {
+      hideBanner();
+      return;
+    }
+    const banner = getBannerRoot().querySelector('.banner');
+    banner.textContent = '';
+    const message = document.createElement('span');
+    message.className = 'message';
+    const actions = [];
+    clearTimeout(bannerState.hideTimer);
+    if (pending.length) {
+      message.textContent = pending.length === 1
+        ? 'Auto Form Recovery found a saved draft for this form.'
+        : `Auto Form Recovery found saved drafts for ${pending.length} forms.`;
+      actions.push(['Restore', restorePendingDrafts], ['Discard', discardPendingDrafts]);
+    } else {
+      message.textContent = restored.length ? 'Form data has been restored by Auto Form Recovery.' : '';
+      if (unrestored.length) {
+        message.textContent += ` ${unrestored.length === 1 ? 'One field' : `${unrestored.length} fields`} could not be`
+          + ` restored: ${unrestored.join(', ')}.`;
+        message.textContent = message.textContent.trim();
+      }
+      if (restored.length) actions.push(['Undo', undoRestore]);
+      /* finished restores only need a brief notice */
+      bannerState.hideTimer = setTimeout(hideBanner, 10000);
+    }
+    banner.appendChild(message);
+    actions.forEach(([label, handler]) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.addEventListener('click', handler);
+      banner.appendChild(button);
+    });
+    const close = document.createElement('button');
+    close.className = 'close';
+    close.textContent = '×';
+    close.setAttribute('aria-label', 'Close');
+    close.addEventListener('click', hideBanner);
+    banner.appendChild(close);
+  }
+
+  /* attach debounced input/change listeners to persist form data */
+  function monitorForm(form) {
+    if (form._autoRecoveryAttached) return;
+    /* skip login forms and forms the page opted out; do not attach listeners */
+    if (!shouldRecoverForm(form)) return;
+    form._autoRecoveryAttached = true;
+    const debouncedSave = debounce(() => {
+      pendingSaves.delete(form);
+      saveFormData(form);
+    }, extensionSettings.saveDelayMs || 500, extensionSettings.saveMaxWaitMs);
+    form._autoRecoverySave = (...args) => {
+      pendingSaves.add(form);
+      debouncedSave(...args);
+    };
+    form._autoRecoverySave.cancel = () => {
+      pendingSaves.delete(form);
+      debouncedSave.cancel();
+    };
+    form._autoRecoverySave.flush = debouncedSave.flush;
+    /* events the user caused (not the ones dispatched while restoring) end the post‑restore guard */
+    const onEdit = event => {
+      if (form._autoRecoveryVirtual && !isInVirtualForm(form, event.composedPath()[0])) return;
+      if (event.isTrusted) {
+        form._autoRecoveryUserEdited = true;
+        showSaveIndicator(form, 'saving');
+      }
+      form._autoRecoverySave();
+    };
+    form.addEventListener('input', onEdit);
+    form.addEventListener('change', onEdit);
+    /* aria widgets fire no input events; save when their checked/selected state or a combobox's text changes */
+    const widgetObserver = new MutationObserver(mutations => {
+      const changed = mutations.some(mutation => {
+        const target = mutation.target.nodeType === 1 ? mutation.target : mutation.target.parentElement;
+        if (!target || (form._autoRecoveryVirtual && !isInVirtualForm(form, target))) return false;
+        if (mutation.type === 'attributes') return target.matches('[role="checkbox"], [role="switch"], [role="option"]');
+        const combobox = target.closest('[role="combobox"]');
+        return !!combobox && isAriaWidget(combobox);
+      });
+      if (changed) form._autoRecoverySave();
+    });
+    /* combobox text is not watched on the page body, where that would run the callback for every text change */
+    widgetObserver.observe(form, {
+      subtree: true,
+      childList: true,
+      characterData: form !== document.body,
+      attributes: true,
+      attributeFilter: ['aria-checked', 'aria-selected']
+    });
+    form._autoRecoveryDetach = () => {
+      form._autoRecoverySave.cancel();
+      form.removeEventListener('input', onEdit);
+      form.removeEventListener('change', onEdit);
+      widgetObserver.disconnect();
+      form._autoRecoveryAttached = false;
+      monitoredForms.delete(form);
+      scheduleStatusReport();
+    };
+    monitoredForms.add(form);
+    scheduleStatusReport();
+    console.log('[AutoFormRecovery] Monitoring form', getFormKey(form));
+  }
+
+  /* forms with listeners attached, so they can be detached when settings change */
+  const monitoredForms = new Set();
+
+  /* stop saving a form: drop its pending save and remove its listeners */
+  function detachForm(form) {
+    if (form._autoRecoveryDetach) form._autoRecoveryDetach();
+  }
+
+  /* debounce utility: fn runs once calls pause for wait ms, and with maxWait at least that often while calls keep
+     coming; cancel() drops a pending call and flush() runs it right away */
+  function debounce(fn, wait, maxWait) {
+    let timeout;
+    let firstCallAt = null;
+    let pendingArgs = null;
+    const run = () => {
+      const args = pendingArgs;
+      clearTimeout(timeout);
+      firstCallAt = null;
+      pendingArgs = null;
+      fn.apply(null, args);
+    };
+    const debounced = (...args) => {
+      pendingArgs = args;
+      if (firstCallAt === null) firstCallAt = Date.now();
+      clearTimeout(timeout);
+      const untilMaxWait = maxWait ? Math.max(0, firstCallAt + maxWait - Date.now()) : wait;
+      timeout = setTimeout(run, Math.min(wait, untilMaxWait));
+    };
+    debounced.cancel = () => {
+      clearTimeout(timeout);
+      firstCallAt = null;
+      pendingArgs = null;
+    };
+    debounced.flush = () => {
+      if (pendingArgs) run();
+    };
+    return debounced;
+  }
+
+  /* forms with a save waiting on the debounce */
+  const pendingSaves = new Set();
+
+  /* save every form with a pending edit now; used when the page is hidden, frozen or about to unload, where
+     waiting out the debounce would lose the last keystrokes. the write is sent from inside the event handler, since a
+     storage read first may never get its answer */
+  function flushPendingSaves() {
+    Array.from(pendingSaves).forEach(form => {
+      form._autoRecoverySave.cancel();
+      if (!saveFormDataNow(form)) saveFormData(form);
+    });
+  }
+
+  /* the page can be closed, discarded or frozen at any of these points without another chance to save. there is no
+     beforeunload listener: visibilitychange and pagehide already cover unloading, and in firefox one would keep the
+     page out of the back/forward cache */
+  function watchPageLifecycle() {
+    listen(document, 'visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flushPendingSaves();
+    });
+    listen(window, 'pagehide', flushPendingSaves);
+    listen(document, 'freeze', flushPendingSaves);
+  }
+
+  /* the small save status shown next to the form being edited */
+  const indicatorState = { host: null, label: null, form: null, hideTimer: null };
+
+  /* styles for the save indicator; like the banner it sits in a closed shadow root */
+  const INDICATOR_STYLE = `
+    :host { all: initial; }
+    .indicator { position: fixed; z-index: 2147483646; padding: 2px 6px; border-radius: 3px; font: 11px/1.4 sans-serif;
+      color: #fff; background: rgba(76,175,80,0.9); pointer-events: none; }
+    .indicator.saving { background: rgba(117,117,117,0.9); }
+    .indicator.failed { background: rgba(211,47,47,0.9); }
+  `;
+
+  /* labels for each save state */
+  const INDICATOR_TEXT = { saving: 'Saving…', saved: 'Draft saved', failed: 'Draft not saved' };
+
+  /* remove the save indicator */
+  function hideSaveIndicator() {
+    clearTimeout(indicatorState.hideTimer);
+    if (indicatorState.host) indicatorState.host.remove();
+    indicatorState.host = null;
+    indicatorState.label = null;
+    indicatorState.form = null;
+  }
+
+  /* show "saving" while an edit waits to be stored and "saved" (or "not saved") once the write finishes. only the
+     form the user is editing gets the note */
+  function showSaveIndicator(form, state) {
+    if (extensionSettings.showSaveIndicator === false) return;
+    if (state !== 'saving' && indicatorState.form !== form) return;
+    showIndicator(form, state, INDICATOR_TEXT[state]);
+  }
+
+  /* a short note in the indicator's place confirming a form command; shown even when the save indicator is off */
+  function showNotice(form, text, failed) {
+    showIndicator(form, failed ? 'failed' : 'saved', text);
+  }
+
+  /* draw the indicator for a state at the bottom right of the form, kept inside the viewport; anything but "saving"
+     hides again after a moment */
+  function showIndicator(form, state, text) {
+    if (!indicatorState.host || !indicatorState.host.isConnected) {
+      const host = document.createElement('div');
+      host.className = 'auto-form-recovery-indicator';
+      const root = host.attachShadow({ mode: 'closed' });
+      const style = document.createElement('style');
+      style.textContent = INDICATOR_STYLE;
+      const label = document.createElement('div');
+      label.setAttribute('role', 'status');
+      root.appendChild(style);
+      root.appendChild(label);
+      (document.body || document.documentElement).appendChild(host);
+      indicatorState.host = host;
+      indicatorState.label = label;
+    }
+    indicatorState.form = form;
+    const { label } = indicatorState;
+    label.className = `indicator ${state}`;
+    label.textContent = text;
+    const rect = form.getBoundingClientRect();
+    label.style.right = `${Math.max(4, window.innerWidth - Math.min(rect.right, window.innerWidth))}px`;
+    label.style.bottom = `${Math.max(4, window.innerHeight - Math.min(rect.bottom, window.innerHeight))}px`;
+    indicatorState.host.style.display = '';
+    clearTimeout(indicatorState.hideTimer);
+    if (state !== 'saving') {
+      indicatorState.hideTimer = setTimeout(() => {
+        if (indicatorState.host) indicatorState.host.style.display = 'none';
+        indicatorState.form = null;
+      }, 2000);
+    }
+  }
+
+  /* the note offering to save a form that was skipped as a sign‑in form */
+  const loginNoticeState = { host: null, form: null, hideTimer: null };
+
+  /* styles for the sign‑in note; unlike the save indicator it takes clicks */
+  const LOGIN_NOTICE_STYLE = `
+    :host { all: initial; }
+    .notice { position: fixed; z-index: 2147483646; display: flex; align-items: center; gap: 6px; max-width: 360px;
+      padding: 4px 8px; border-radius: 3px; font: 12px/1.4 sans-serif; color: #fff; background: rgba(97,97,97,0.95); }
+    button { font: inherit; color: #424242; background: #fff; border: none; border-radius: 3px; padding: 1px 6px;
+      cursor: pointer; }
+    button.close { color: #fff; background: none; padding: 0 2px; }
+  `;
+
+  /* remove the sign‑in note */
+  function hideLoginNotice() {
+    clearTimeout(loginNoticeState.hideTimer);
+    if (loginNoticeState.host) loginNoticeState.host.remove();
+    loginNoticeState.host = null;
+    loginNoticeState.form = null;
+  }
+
+  /* when focus enters a form skipped as a sign‑in form by its score alone, say so once per visit and offer to save
+     it anyway; the choice is remembered for the form on this site. forms with a password field are left alone,
+     since their other fields are rarely worth keeping */
+  function offerLoginOverride(el) {
+    if (el.nodeType !== 1) return;
+    const container = isOrphanControl(el) ? getVirtualContainer(el) : null;
+    const form = getOwnerForm(el) || (container && container._autoRecoveryVirtual ? container : null);
+    if (!form || form._autoRecoveryAttached || form._autoRecoveryLoginNoticeShown || isOptedOut(form)) return;
+    const check = getLoginClassification(form);
+    if (!check.login || check.source !== 'score' || check.password) return;
+    form._autoRecoveryLoginNoticeShown = true;
+    hideLoginNotice();
+    const host = document.createElement('div');
+    host.className = 'auto-form-recovery-login-notice';
+    const root = host.attachShadow({ mode: 'closed' });
+    const style = document.createElement('style');
+    style.textContent = LOGIN_NOTICE_STYLE;
+    const notice = document.createElement('div');
+    notice.className = 'notice';
+    notice.setAttribute('role', 'status');
+    const message = document.createElement('span');
+    message.textContent = 'Auto Form Recovery is not saving this form because it looks like a sign‑in form.';
+    const save = document.createElement('button');
+    save.textContent = 'Save it';
+    save.addEventListener('click', () => {
+      hideLoginNotice();
+      AutoFormRecoverySettings.setLoginOverride(location.hostname, getFormLabel(form), false);
+    });
+    const close = document.createElement('button');
+    close.className = 'close';
+    close.textContent = '×';
+    close.setAttribute('aria-label', 'Close');
+    close.addEventListener('click', hideLoginNotice);
+    notice.appendChild(message);
+    notice.appendChild(save);
+    notice.appendChild(close);
+    root.appendChild(style);
+    root.appendChild(notice);
+    (document.body || document.documentElement).appendChild(host);
+    const rect = form.getBoundingClientRect();
+    notice.style.left = `${Math.max(4, Math.min(rect.left, window.innerWidth - 364))}px`;
+    notice.style.top = `${Math.max(4, Math.min(rect.bottom + 4, window.innerHeight - 40))}px`;
+    loginNoticeState.host = host;
+    loginNoticeState.form = form;
+    loginNoticeState.hideTimer = setTimeout(hideLoginNotice, 10000);
+  }
+
+  /* how long a submitted draft is kept in case the submit failed server‑side */
+  function getSubmitGraceMs() {
+    return (extensionSettings.submitGraceMinutes || 5) * 60 * 1000;
+  }
+
+  /* return true if drafts should be discarded after a submit on this site */
+  function shouldDiscardOnSubmit() {
+    if (extensionSettings.discardOnSubmit === false) return false;
+    return !(extensionSettings.keepOnSubmitDomains || []).includes(location.hostname);
+  }
+
+  /* a submit button click or enter key only counts as a submission once a request or navigation follows it */
+  const SUBMIT_INTENT_WINDOW_MS = 5000;
+  /* a request started this soon after a submit intent is taken to be the submission, wherever it goes; later ones
+     within the window only count when they go to the form's action */
+  const SUBMIT_REQUEST_DELAY_MS = 1000;
+  /* forms with a recent submit intent; kept here because single‑page apps often remove the form before the
+     request completes */
+  const submitIntents = new Set();
+
+  /* remember that the user just tried to submit a form; the time is on the performance clock, so requests seen
+     through resource timing can be ordered against it */
+  function noteSubmitIntent(form) {
+    form._autoRecoverySubmitIntent = performance.now();
+    submitIntents.add(form);
+  }
+
+  /* store the form's final values flagged as submitted and remove them once the grace period is over */
+  function markFormSubmitted(form) {
+    if (!form._autoRecoveryAttached || !shouldDiscardOnSubmit() || !shouldRecoverForm(form)) return;
+    form._autoRecoverySubmitIntent = 0;
+    submitIntents.delete(form);
+    form._autoRecoverySave.cancel();
+    const key = getFormKey(form);
+    const submittedAt = Date.now();
+    saveFormData(form, { submittedAt });
+    console.log('[AutoFormRecovery] Form submitted', key);
+    setTimeout(() => {
+      chrome.storage.local.get(key, result => {
+        /* a later edit saves the draft again without the flag, which keeps it */
+        if (result[key] && result[key].submittedAt === submittedAt) {
+          chrome.storage.local.remove(key);
+        }
+      });
+    }, getSubmitGraceMs());
+  }
+
+  /* the recoverable form an element belongs to, if it is being monitored */
+  function findMonitoredForm(el) {
+    return getRecoverableForms().find(form => form._autoRecoveryAttached && composedContains(form, el)) || null;
+  }
+
+  /* return true if the browser would send the form: every control passes constraint validation, or validation is
+     turned off for the form or the control that submits it. checked without checkValidity(), which fires invalid
+     events the page may react to */
+  function passesValidation(form, submitter) {
+    if (form.noValidate || (submitter && submitter.formNoValidate)) return true;
+    return Array.from(form.elements).every(el => !el.willValidate || el.validity.valid);
+  }
+
+  /* return true if two addresses point at the same endpoint (origin and path) */
+  function isSameEndpoint(a, b) {
+    try {
+      const first = new URL(a, location.href);
+      const second = new URL(b, location.href);
+      return first.origin === second.origin && first.pathname === second.pathname;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /* return true if a request (a resource timing entry) can be the submission of a form's intent: it started after the
+     intent, and either right after it or to the form's own action */
+  function isSubmitRequest(form, request) {
+    const intent = form._autoRecoverySubmitIntent;
+    if (request.startTime < intent) return false;
+    if (request.startTime - intent <= SUBMIT_REQUEST_DELAY_MS) return true;
+    return form.tagName === 'FORM' && form.hasAttribute('action') && isSameEndpoint(form.action, request.name);
+  }
+
+  /* mark forms whose submit intent was followed by a matching request, or (virtual forms only) by leaving the page;
+     a <form> that really navigates fires submit, so leaving the page after an intent on one says nothing */
+  function confirmSubmitIntents(request) {
+    const now = performance.now();
+    submitIntents.forEach(form => {
+      if (now - form._autoRecoverySubmitIntent >= SUBMIT_INTENT_WINDOW_MS) {
+        submitIntents.delete(form);
+      } else if (request ? isSubmitRequest(form, request) : form.tagName !== 'FORM') {
+        markFormSubmitted(form);
+      }
+    });
+  }
+
+  /* a virtual form grouped under a container of its own (a dialog, fieldset, section...), as opposed to the page body
+     or a web component host that collects every loose input */
+  function isExplicitVirtualForm(form) {
+    return !!form._autoRecoveryVirtual && form !== document.body && form.matches(VIRTUAL_FORM_CONTAINERS);
+  }
+
+  /* detect submissions:
+     - a native submit that is not cancelled navigates away, so it is marked right away
+     - a cancelled submit, a click on a submit control of a <form> that passes validation (or a submit‑like button
+       of an explicit virtual form) or enter/ctrl+enter in one records an intent
+     - a fetch/XHR that matches the intent (see isSubmitRequest; seen through resource timing, with a 2xx or 3xx
+       status; browsers that report no status never confirm this way) confirms it, and so does leaving the page
+       for a virtual form */
+  function watchSubmissions() {
+    listen(document, 'submit', onFormSubmit, true);
+    listen(document, 'click', event => {
+      /* events from inside a shadow root reach the document retargeted to its host */
+      const target = event.composedPath()[0];
+      const button = target.closest && target.closest('button, input[type="submit"], input[type="image"], [role="button"]');
+      if (!button) return;
+      if (button.form) {
+        /* only a real submit control submits its form */
+        const type = (button.getAttribute('type') || '').toLowerCase();
+        const isSubmit = type === 'submit' || type === 'image' || (button.tagName === 'BUTTON' && !type);
+        /* an invalid form is not sent; the browser shows its errors instead */
+        const form = isSubmit && passesValidation(button.form, button) && findMonitoredForm(button.form);
+        if (form) noteSubmitIntent(form);
+        return;
+      }
+      /* an explicit virtual form has no submit controls, so its buttons can only be told apart by their label */
+      const label = `${button.textContent || ''} ${button.value || ''} ${button.getAttribute('aria-label') || ''}`;
+      if (!/\b(submit|send|save|post|publish|create|reply|comment|update)\b/i.test(label)) return;
+      const form = findMonitoredForm(button);
+      if (form && isExplicitVirtualForm(form)) noteSubmitIntent(form);
+    }, true);
+    listen(document, 'keydown', event => {
+      if (event.key !== 'Enter') return;
+      const target = event.composedPath()[0];
+      const multiline = target.tagName === 'TEXTAREA' || target.isContentEditable;
+      if (multiline && !(event.ctrlKey || event.metaKey)) return;
+      const form = findMonitoredForm(target);
+      if (!form) return;
+      if (form.tagName === 'FORM' ? passesValidation(form) : isExplicitVirtualForm(form)) noteSubmitIntent(form);
+    }, true);
+    if (typeof PerformanceObserver !== 'undefined') {
+      requestObserver = new PerformanceObserver(list => {
+        list.getEntries().forEach(entry => {
+          if (entry.initiatorType !== 'fetch' && entry.initiatorType !== 'xmlhttprequest') return;
+          /* a missing status (other browsers) or 0 (an opaque cross‑origin response) says nothing about success */
+          if (entry.responseStatus >= 200 && entry.responseStatus < 400) confirmSubmitIntents(entry);
+        });
+      });
+      requestObserver.observe({ type: 'resource' });
+    }
+    listen(window, 'pagehide', () => confirmSubmitIntents());
+  }
+
+  /* a submit that a page script cancelled is only an intent (it is probably sent with fetch); otherwise the
+     browser navigates and the form counts as submitted */
+  function onFormSubmit(event) {
+    const form = event.target;
+    setTimeout(() => {
+      if (event.defaultPrevented) {
+        noteSubmitIntent(form);
+      } else {
+        markFormSubmitted(form);
+      }
+    }, 0);
+  }
+
+  /* submit and change events do not leave a shadow root, so listen inside it: submits of forms in the root, and
+     changes to controls that belong to a monitored form or virtual form outside it */
+  function watchShadowRoot(shadowRoot) {
+    listen(shadowRoot, 'submit', onFormSubmit, true);
+    listen(shadowRoot, 'change', event => {
+      const form = findMonitoredForm(event.target);
+      if (form && form.getRootNode() !== shadowRoot && form._autoRecoverySave) form._autoRecoverySave();
+    }, true);
+  }
+
+  /* editable regions that are not part of a form are recovered on their own */
+  function getStandaloneEditables(container) {
+    const roots = isEditableRoot(container) ? [container] : getEditableRoots(container);
+    return roots.filter(el => !getOwnerForm(el));
+  }
+
+  /* every <form> on the page, including those inside open shadow roots */
+  function getAllForms() {
+    return queryAllDeep(document, 'form');
+  }
+
+  /* every form, standalone editable region and virtual form currently on the page */
+  function getRecoverableForms() {
+    return getAllForms().concat(getStandaloneEditables(document), getVirtualForms(document));
+  }
+
+  /* restore and monitor a form or standalone editable region unless it is a login form or the page opted it out.
+     a form is restored only the first time it is seen: a virtual form's container comes back whenever a control is
+     added to it, and restoring again would overwrite what the user has typed since. its listeners sit on the
+     container, so monitorForm already covers the new controls */
+  function attachRecovery(form) {
+    if (!shouldRecoverForm(form)) return;
+    /* a form inserted empty has no fingerprint yet; it is restored once its fields arrive (see restoreFilledForms) */
+    if (!form._autoRecoveryRestored && getFormFields(form).length) {
+      form._autoRecoveryRestored = true;
+      restoreFormData(form);
+    }
+    monitorForm(form);
+  }
+
+  /* restore monitored forms that were attached before they had any fields, now that nodes were added to them */
+  function restoreFilledForms(node) {
+    monitoredForms.forEach(form => {
+      if (!form._autoRecoveryRestored && composedContains(form, node)) attachRecovery(form);
+    });
+  }
+
+  /* days a page asked a form's draft to be kept with data-autorecovery-retention, or null */
+  function getPageRetentionDays(form) {
+    const days = parseFloat(form.getAttribute('data-autorecovery-retention'));
+    return days > 0 ? days : null;
+  }
+
+  /* save a form right away instead of waiting for the pause in typing */
+  function saveFormNow(form, callback) {
+    if (form._autoRecoverySave) form._autoRecoverySave.cancel();
+    saveFormData(form, undefined, callback);
+  }
+
+  /* tell the page about a form's draft with an "autorecovery:<type>" event that bubbles from the form (see README).
+     firefox hides objects made by the content script from page scripts unless they are cloned into the page */
+  function notifyPage(form, type, detail) {
+    const pageDetail = typeof cloneInto === 'function' ? cloneInto(detail, window) : detail;
+    form.dispatchEvent(new CustomEvent(`autorecovery:${type}`, { bubbles: true, composed: true, detail: pageDetail }));
+  }
+
+  /* the forms a page event is meant for: the one holding its target, or every recovered form on the page when it
+     was dispatched on the document */
+  function getPageEventForms(event) {
+    const forms = getRecoverableForms().filter(shouldRecoverForm);
+    const target = event.composedPath()[0];
+    if (target === document || target === document.documentElement) return forms;
+    const form = findContainingForm(forms, target);
+    return form ? [form] : [];
+  }
+
+  /* events a page sends to coordinate with its own autosave: "autorecovery:clear" once its server has the data,
+     and "autorecovery:save" to store a draft right away */
+  function watchPageEvents() {
+    listen(document, 'autorecovery:clear', event => getPageEventForms(event).forEach(forgetDraft), true);
+    listen(document, 'autorecovery:save', event => getPageEventForms(event).forEach(form => saveFormNow(form)), true);
+  }
+
+  /* whether recovery is running in this frame */
+  let active = false;
+  /* page‑level listeners added while running, as [target, type, handler, capture], removed when recovery stops */
+  const pageListeners = [];
+  /* observer of completed requests used to confirm submits */
+  let requestObserver = null;
+
+  /* add a listener that is removed again when recovery stops */
+  function listen(target, type, handler, capture) {
+    target.addEventListener(type, handler, !!capture);
+    pageListeners.push([target, type, handler, !!capture]);
+  }
+
+  /* return true if the extension is on and no site rule turns it off here */
+  function isRecoveryEnabled() {
+    return !!extensionSettings.enabled && getSitePolicy().enabled;
+  }
+
+  /* initialize recovery on current forms and observe the DOM for future forms */
+  function initAutoFormRecovery() {
+    /* skip recovery if the extension is disabled or a site rule turns it off */
+    const hostname = location.hostname;
+    if (active) return;
+    if (!isRecoveryEnabled()) {
+      console.log('[AutoFormRecovery] Disabled on this domain:', hostname);
+      return;
+    }
+    active = true;
+    /* process existing forms, editable regions and inputs outside any form, including inside web components */
+    domObserver = new MutationObserver(mutations => {
+      mutations.forEach(mutation => {
+        /* fields coming and going change what a form looks like */
+        if (mutation.type === 'childList') forgetLoginClassification(mutation.target);
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === 1) {
+            findShadowRoots(node);
+            processRoot(node);
+            restoreFilledForms(node);
+          }
+        });
+        /* editors often switch contenteditable on after mounting */
+        if (mutation.type === 'attributes' && mutation.target.nodeType === 1 && isEditableRoot(mutation.target) && !getOwnerForm(mutation.target)) {
+          attachRecovery(mutation.target);
+        }
+      });
     });
+    findShadowRoots(document);
+    processRoot(document);
+    /* observe the page for new forms and editors */
+    observeRoot(document.documentElement || document.body);
+    /* custom elements may attach their shadow root after being inserted (when their definition loads), which no
+       mutation reports; look again once the page has settled and whenever focus moves into a component */
+    SHADOW_RESCAN_DELAYS.forEach(delay => setTimeout(() => {
+      if (active) findShadowRoots(document);
+    }, delay));
+    listen(document, 'focusin', event => {
+      event.composedPath().forEach(node => {
+        if (node.nodeType === 1 && node.shadowRoot && !shadowRoots.has(node.shadowRoot)) findShadowRoots(node);
+      });
+      offerLoginOverride(event.composedPath()[0]);
+    }, true);
+    watchSubmissions();
+    watchPageLifecycle();
+    watchPageEvents();
+  }
+
+  /* undo initAutoFormRecovery: stop observing the page, remove every listener and forget pending work. drafts
+     already stored are kept */
+  function stopAutoFormRecovery() {
+    if (!active) return;
+    active = false;
+    domObserver.disconnect();
+    if (requestObserver) requestObserver.disconnect();
+    pageListeners.splice(0).forEach(([target, type, handler, capture]) => target.removeEventListener(type, handler, capture));
+    Array.from(monitoredForms).forEach(detachForm);
+    shadowRoots.clear();
+    lockedForms.clear();
+    submitIntents.clear();
+    restoredForms.clear();
+    hideBanner();
+    hideSaveIndicator();
+    hideLoginNotice();
+    console.log('[AutoFormRecovery] Stopped on this domain:', location.hostname);
   }
 
+  /* while running, monitor forms afresh so changed login handling and save timing apply; forms that stop counting
+     as login forms are restored and monitored, and those that start counting are detached. an edit still waiting on
+     the debounce is saved first, since detaching drops it */
+  function refreshMonitoredForms() {
+    Array.from(monitoredForms).forEach(form => {
+      if (form._autoRecoverySave) form._autoRecoverySave.flush();
+      detachForm(form);
+      if (form.isConnected) monitorForm(form);
+    });
+    getRecoverableForms().forEach(form => {
+      if (!form._autoRecoveryAttached) attachRecovery(form);
+    });
+  }
+
+  /* apply settings changed in the popup or options page right away, in every frame */
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    /* a draft of this page was saved or removed */
+    const prefix = AutoFormRecoverySettings.toDraftKey(`${getPageUrl()}::`);
+    if (Object.keys(changes).some(key => key.startsWith(prefix))) scheduleStatusReport();
+    /* a draft that was discarded, submitted or expired no longer carries its history into the form's next save */
+    monitoredForms.forEach(form => {
+      const last = form._autoRecoveryLast;
+      if (last && changes[last.key] && !changes[last.key].newValue) rememberStoredEntry(form, getFormKey(form), null, null);
+    });
+    if (changes.encryption) encryptionEnabled = !!changes.encryption.newValue;
+    if (!changes.settings) return;
+    extensionSettings = AutoFormRecoverySettings.validate(changes.settings.newValue);
+    forgetLoginClassification();
+    if (!isRecoveryEnabled()) {
+      stopAutoFormRecovery();
+    } else if (!active) {
+      initAutoFormRecovery();
+    } else {
+      refreshMonitoredForms();
+    }
+    scheduleStatusReport();
+  });
+
+  /* observer that picks up forms and editors added to the page or to a shadow root */
+  let domObserver = null;
+  /* rescans for late shadow roots after start, in ms */
+  const SHADOW_RESCAN_DELAYS = [1000, 3000];
+
+  /* watch a document or shadow root for new forms and editors */
+  function observeRoot(root) {
+    domObserver.observe(root, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['contenteditable']
+    });
+  }
+
+  /* attach recovery to the forms, editable regions and virtual forms at or under a node */
+  function processRoot(root) {
+    if (root.tagName === 'FORM') {
+      attachRecovery(root);
+      return;
+    }
+    /* search inside for nested forms */
+    root.querySelectorAll('form').forEach(attachRecovery);
+    getStandaloneEditables(root).forEach(attachRecovery);
+    getVirtualForms(root).forEach(attachRecovery);
+  }
+
+  /* register open shadow roots at or under a node that were not seen before: observe them, listen for events that
+     do not cross the shadow boundary, and recover their forms */
+  function findShadowRoots(node) {
+    const elements = node.nodeType === 1 ? [node] : [];
+    elements.push(...node.querySelectorAll('*'));
+    elements.forEach(el => {
+      const shadowRoot = el.shadowRoot;
+      if (!shadowRoot || shadowRoots.has(shadowRoot)) return;
+      shadowRoots.add(shadowRoot);
+      observeRoot(shadowRoot);
+      watchShadowRoot(shadowRoot);
+      findShadowRoots(shadowRoot);
+      processRoot(shadowRoot);
+    });
+  }
+
+  /* forms a draft was restored into (and not undone), for the toolbar badge */
+  const restoredForms = new Set();
+  /* set while the page is being left, so a late report cannot overwrite the next page's status */
+  let pageHidden = false;
+
+  /* tell the background script what this frame is doing, for the toolbar badge: whether recovery is on and runs on
+     this site, how many forms are monitored, how many sign‑in forms were skipped, and whether a draft exists or was
+     restored. the keys of drafts not yet submitted let the background offer them again once the tab is closed */
+  function reportStatus() {
+    if (pageHidden) return;
+    const status = {
+      enabled: !!extensionSettings.enabled,
+      siteEnabled: getSitePolicy().enabled,
+      forms: 0,
+      loginForms: 0,
+      draft: false,
+      restored: false,
+      drafts: []
+    };
+    const send = () => chrome.runtime.sendMessage({ type: 'FRAME_STATUS', status }, () => void chrome.runtime.lastError);
+    if (!active) {
+      send();
+      return;
+    }
+    const forms = Array.from(monitoredForms).filter(form => form.isConnected);
+    status.forms = forms.length;
+    /* how each form was classified, for the popup's sign‑in detection view */
+    status.host = location.hostname;
+    status.loginChecks = getRecoverableForms()
+      .map(form => Object.assign({ form: getFormLabel(form), optedOut: isOptedOut(form) }, classifyLoginForm(form)));
+    status.loginForms = status.loginChecks.filter(check => check.login).length;
+    status.restored = Array.from(restoredForms).some(form => form.isConnected);
+    const keys = [];
+    forms.forEach(form => {
+      keys.push(getFormKey(form));
+      if (form._autoRecoverySourceKey) keys.push(form._autoRecoverySourceKey);
+    });
+    chrome.storage.local.get(keys, items => {
+      status.draft = keys.some(key => items[key]);
+      status.drafts = keys.filter(key => items[key] && !items[key].submittedAt);
+      send();
+    });
+  }
+
+  /* reports follow saves, restores and forms coming and going, which arrive in bursts */
+  const scheduleStatusReport = debounce(reportStatus, 300);
+
+  window.addEventListener('pagehide', () => {
+    pageHidden = true;
+    scheduleStatusReport.cancel();
+  });
+  /* a page restored from the back/forward cache reports again */
+  window.addEventListener('pageshow', event => {
+    pageHidden = false;
+    if (event.persisted) scheduleStatusReport();
+  });
+
+  /* the element the context menu was last opened on; a menu click only tells the background which frame it was */
+  let contextTarget = null;
+  document.addEventListener('contextmenu', event => {
+    contextTarget = event.composedPath()[0];
+  }, true);
+
+  /* the focused element, looking into open shadow roots; null unless focus is in this frame (a focused iframe is
+     left to its own content script) */
+  function getFocusedElement() {
+    if (!document.hasFocus()) return null;
+    let el = document.activeElement;
+    while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+    if (!el || el === document.body || el === document.documentElement || /^(IFRAME|FRAME)$/.test(el.tagName)) return null;
+    return el;
+  }
+
+  /* the recoverable form and saved field an element belongs to; field is null for elements that are not saved
+     (buttons, passwords, excluded fields) */
+  function findCommandTarget(el) {
+    const forms = getRecoverableForms();
+    for (const form of forms) {
+      const field = getFormFields(form).find(item => item.el === el || composedContains(item.el, el));
+      if (field) return { form, field };
+    }
+    const form = findContainingForm(forms, el);
+    return form ? { form, field: null } : null;
+  }
+
+  /* the innermost of the forms that contain an element: a real form or editable region before the virtual forms
+     around it, and among virtual forms the last, since nested ones follow their container */
+  function findContainingForm(forms, el) {
+    const containing = forms.filter(form => composedContains(form, el));
+    return containing.find(candidate => !candidate._autoRecoveryVirtual) || containing.pop() || null;
+  }
+
+  /* a form's draft under its own key, or the similar draft it was matched to; callback receives { key, entry } or
+     null when there is none or it is encrypted and locked */
+  function findDraft(form, callback) {
+    const key = getFormKey(form);
+    const keys = form._autoRecoverySourceKey ? [key, form._autoRecoverySourceKey] : [key];
+    chrome.storage.local.get(keys, items => {
+      const found = keys.find(candidate => items[candidate]);
+      if (!found) {
+        findSimilarEntry(form, key, callback);
+        return;
+      }
+      readEntry(found, items[found], entry => callback(entry ? { key: found, entry } : null));
+    });
+  }
+
+  /* delete a form's draft (and the similar draft it was matched to); edits made afterwards start a new one */
+  function forgetDraft(form) {
+    const keys = [getFormKey(form)];
+    if (form._autoRecoverySourceKey) keys.push(form._autoRecoverySourceKey);
+    if (form._autoRecoverySave) form._autoRecoverySave.cancel();
+    /* a submit detected afterwards would store the values again */
+    form._autoRecoverySubmitIntent = 0;
+    submitIntents.delete(form);
+    form._autoRecoverySourceKey = null;
+    lockedForms.delete(form);
+    if (bannerState.pending.some(item => item.form === form)) {
+      bannerState.pending = bannerState.pending.filter(item => item.form !== form);
+      renderBanner();
+    }
+    chrome.storage.local.remove(keys);
+    console.log('[AutoFormRecovery] Forgot draft', keys);
+  }
+
+  /* a css selector that finds a field again on later visits: its id, its name, or failing those its position under
+     the nearest ancestor with an id */
+  function getFieldSelector(el) {
+    const tag = el.tagName.toLowerCase();
+    if (el.id) return `${tag}#${CSS.escape(el.id)}`;
+    const name = el.getAttribute('name');
+    if (name) return `${tag}[name="${CSS.escape(name)}"]`;
+    const parts = [];
+    let node = el;
+    while (node && node !== document.body) {
+      const nodeTag = node.tagName.toLowerCase();
+      if (node.id) {
+        parts.unshift(`${nodeTag}#${CSS.escape(node.id)}`);
+        break;
+      }
+      const parent = node.parentElement;
+      if (!parent) {
+        parts.unshift(nodeTag);
+        break;
+      }
+      const siblings = Array.from(parent.children).filter(child => child.tagName === node.tagName);
+      parts.unshift(siblings.length > 1 ? `${nodeTag}:nth-of-type(${siblings.indexOf(node) + 1})` : nodeTag);
+      node = parent;
+    }
+    if (node === document.body) parts.unshift('body');
+    return parts.join(' > ');
+  }
+
+  /* never save a field on this site again: its selector joins the site rule that excludes fields here, so the
+     choice applies on every later visit and can be edited with the other site rules */
+  function neverSaveField(el, callback) {
+    const host = location.hostname;
+    const selector = getFieldSelector(el);
+    AutoFormRecoverySettings.load(settings => {
+      const rules = settings.rules.slice();
+      const index = rules.findIndex(rule => rule.host === host && rule.exclude && Object.keys(rule).length === 2);
+      if (index === -1) {
+        rules.push({ host, exclude: selector });
+      } else if (!rules[index].exclude.split(', ').includes(selector)) {
+        rules[index] = { host, exclude: `${rules[index].exclude}, ${selector}` };
+      }
+      AutoFormRecoverySettings.update({ rules }, saved => {
+        extensionSettings = saved;
+        console.log('[AutoFormRecovery] Never saving field', selector);
+        callback();
+      });
+    });
+  }
+
+  /* carry out a command from the context menu or a keyboard shortcut on the form or field it was given for */
+  function runFormCommand(command, el) {
+    const target = findCommandTarget(el);
+    if (!target) return;
+    const { form, field } = target;
+    if (command === 'never-save-field') {
+      neverSaveField(field ? field.el : el, () => {
+        showNotice(form, 'This field will not be saved on this site');
+        /* take the value out of the latest draft; older history versions age out on their own */
+        const key = getFormKey(form);
+        chrome.storage.local.get(key, items => {
+          if (items[key] && shouldRecoverForm(form)) saveFormData(form);
+        });
+      });
+      return;
+    }
+    if (command === 'forget-form') {
+      forgetDraft(form);
+      showNotice(form, 'Draft forgotten');
+      return;
+    }
+    if (!active) {
+      showNotice(form, 'Auto Form Recovery is off on this site', true);
+      return;
+    }
+    if (isOptedOut(form)) {
+      showNotice(form, 'This page does not allow saving this form', true);
+      return;
+    }
+    if (isLoginForm(form)) {
+      showNotice(form, 'Sign‑in forms are not saved', true);
+      return;
+    }
+    if (command === 'save-form') {
+      saveFormNow(form, saved => showNotice(form, saved ? 'Draft saved' : 'Draft not saved', !saved));
+      return;
+    }
+    if (command === 'restore-field' && !field) {
+      showNotice(form, 'This field is not saved', true);
+      return;
+    }
+    findDraft(form, found => {
+      if (!found || isExpiredEntry(found.key, found.entry)) {
+        showNotice(form, 'No saved draft for this form', true);
+        return;
+      }
+      let data = found.entry.data;
+      if (command === 'restore-field') {
+        if (!isRestorableValue(data, field.fieldKey)) {
+          showNotice(form, 'No saved value for this field', true);
+          return;
+        }
+        data = { [field.fieldKey]: data[field.fieldKey] };
+      }
+      if (found.key !== getFormKey(form)) form._autoRecoverySourceKey = found.key;
+      bannerState.pending = bannerState.pending.filter(item => item.form !== form);
+      applySavedEntry(form, found.key, { data, timestamp: found.entry.timestamp });
+    });
+  }
+
+  /* restore a history snapshot chosen in the popup (only the frame that holds the form answers), run form commands
+     from the context menu and keyboard shortcuts, report this frame's status when asked, and restore drafts that
+     were locked once the background script reports the store unlocked */
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message && message.type === 'DRAFTS_UNLOCKED') {
+      const forms = Array.from(lockedForms);
+      lockedForms.clear();
+      forms.forEach(restoreFormData);
+      return;
+    }
+    if (message && message.type === 'REPORT_STATUS') {
+      reportStatus();
+      return;
+    }
+    /* menu commands act on the element the menu was opened on, keyboard commands on the focused one */
+    if (message && message.type === 'FORM_COMMAND') {
+      const el = message.source === 'menu' ? contextTarget : getFocusedElement();
+      if (el && el.isConnected) runFormCommand(message.command, el);
+      return;
+    }
+    if (!message || message.type !== 'RESTORE_VERSION') return;
+    const forms = getRecoverableForms().filter(shouldRecoverForm);
+    let form = forms.find(candidate => getFormKey(candidate) === message.key || candidate._autoRecoverySourceKey === message.key);
+    /* frames without the form stay silent so the one holding it can answer; a message sent to one frame with
+       "similar" set is always answered, falling back to the most similar form */
+    if (!form && !message.similar) return;
+    chrome.storage.local.get(message.key, result => {
+      readEntry(message.key, result[message.key], entry => {
+        if (!form && entry) {
+          form = findSimilarForm(forms, entry.data);
+          if (form) form._autoRecoverySourceKey = message.key;
+        }
+        /* entries saved before history existed expose their single draft as version 0 */
+        const versions = entry && (entry.history || [{ data: entry.data, timestamp: entry.timestamp }]);
+        /* without an index the latest version is restored */
+        const snapshot = versions && versions[message.index === undefined ? versions.length - 1 : message.index];
+        if (!form || !snapshot) {
+          sendResponse({ success: false });
+          return;
+        }
+        /* the entry's own timestamp governs expiry, not the snapshot's */
+        applySavedEntry(form, message.key, { data: snapshot.data, timestamp: entry.timestamp });
+        /* the restored snapshot becomes the latest draft as stored, not as read back from the fields, since some are
+           only filled once they render or after a delay; the version it replaced stays in the history */
+        saveFormData(form, null, null, snapshot.data);
+        sendResponse({ success: true });
+      });
+    });
+    return true;
+  });
+
   /* initialize on DOMContentLoaded */
   function start() {
+    chrome.storage.local.get('encryption', items => {
+      encryptionEnabled = !!items.encryption;
+    });
     loadSettings(() => {
       initAutoFormRecovery();
+      scheduleStatusReport();
     });
   }
   if (document.readyState === 'complete' || document.readyState === 'interactive') {
@@ -0,0 +1,272 @@
+/*
+ (c) 2025 SC5K Systems
+ manager.js
+ lists every saved draft grouped by site and page with its age, field count and size. drafts can be searched by
+ their field values, previewed, copied, deleted one by one or in bulk, and reopened with their page restored.
+*/
+
+document.addEventListener('DOMContentLoaded', () => {
+  const searchInput = document.getElementById('search');
+  const selectAllCheckbox = document.getElementById('selectAll');
+  const deleteSelectedBtn = document.getElementById('deleteSelectedBtn');
+  const statusDiv = document.getElementById('status');
+  const draftList = document.getElementById('draftList');
+
+  /* shared storage layout (settings.js) */
+  const Settings = AutoFormRecoverySettings;
+
+  /* drafts as stored (for size) and opened (for values); opened is null while encrypted drafts are locked */
+  let storedEntries = {};
+  let openedEntries = null;
+  /* keys ticked for bulk deletion */
+  const selected = new Set();
+
+  /* show a temporary status message */
+  function showStatus(text) {
+    statusDiv.textContent = text;
+    setTimeout(() => {
+      if (statusDiv.textContent === text) statusDiv.textContent = '';
+    }, 3000);
+  }
+
+  /* split a storage key into its page url and form label */
+  function parseKey(key) {
+    const url = Settings.getDraftUrl(key);
+    let host = 'unknown';
+    try {
+      host = new URL(url).hostname;
+    } catch (err) {}
+    return { url, host, label: Settings.getDraftLabel(key) };
+  }
+
+  /* "5 min ago" style age of a timestamp */
+  function formatAge(timestamp) {
+    if (!timestamp) return 'unknown age';
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    return `${Math.floor(hours / 24)} d ago`;
+  }
+
+  /* human readable size of a stored entry */
+  function formatSize(entry) {
+    const bytes = new Blob([JSON.stringify(entry)]).size;
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+  }
+
+  /* readable text of one saved field value */
+  function fieldText(value) {
+    if (typeof value === 'string') return value;
+    if (typeof value === 'boolean') return value ? 'checked' : 'unchecked';
+    if (Array.isArray(value)) return value.join(', ');
+    if (value && typeof value === 'object') return value.text || value.masked || '';
+    return '';
+  }
+
+  /* saved values of an opened draft, or null while it is locked */
+  function getDraftData(key) {
+    if (!openedEntries || !openedEntries[key]) return null;
+    return openedEntries[key].data;
+  }
+
+  /* return true if the draft matches the search text (its key or any field value) */
+  function matchesSearch(key, query) {
+    if (!query) return true;
+    if (key.toLowerCase().includes(query)) return true;
+    const data = getDraftData(key);
+    return !!data && Object.values(data).some(value => fieldText(value).toLowerCase().includes(query));
+  }
+
+  /* keys currently shown after filtering */
+  function getVisibleKeys() {
+    const query = searchInput.value.trim().toLowerCase();
+    return Object.keys(storedEntries).filter(key => matchesSearch(key, query));
+  }
+
+  /* build the preview block listing every saved field */
+  function buildPreview(key) {
+    const preview = document.createElement('div');
+    preview.className = 'preview';
+    const data = getDraftData(key);
+    if (!data) {
+      preview.textContent = 'This draft is encrypted. Unlock your drafts in the popup to preview it.';
+      return preview;
+    }
+    Object.entries(data).forEach(([fieldKey, value]) => {
+      const line = document.createElement('div');
+      line.className = 'field';
+      const name = document.createElement('strong');
+      name.textContent = `${fieldKey}:`;
+      line.appendChild(name);
+      line.appendChild(document.createTextNode(fieldText(value)));
+      preview.appendChild(line);
+    });
+    return preview;
+  }
+
+  /* copy every field of a draft as "name: value" lines */
+  function copyDraft(key) {
+    const data = getDraftData(key);
+    if (!data) {
+      showStatus('unlock your drafts to copy them');
+      return;
+    }
+    const text = Object.entries(data).map(([fieldKey, value]) => `${fieldKey}: ${fieldText(value)}`).join('\n');
+    navigator.clipboard.writeText(text)
+      .then(() => showStatus('draft copied'))
+      .catch(() => showStatus('could not copy the draft'));
+  }
+
+  /* delete drafts and refresh the list */
+  function deleteDrafts(keys) {
+    if (!keys.length) return;
+    chrome.storage.local.remove(keys, () => {
+      keys.forEach(key => selected.delete(key));
+      showStatus(`deleted ${keys.length} draft${keys.length === 1 ? '' : 's'}`);
+      loadDrafts();
+    });
+  }
+
+  /* open the draft's page in a new tab and restore it there */
+  function openAndRestore(key) {
+    showStatus('opening page...');
+    chrome.runtime.sendMessage({ type: 'OPEN_AND_RESTORE', key }, response => {
+      showStatus(response && response.success ? 'draft restored' : 'the form was not found on the page');
+    });
+  }
+
+  /* small text button */
+  function makeButton(label, handler) {
+    const button = document.createElement('button');
+    button.className = 'secondary';
+    button.textContent = label;
+    button.addEventListener('click', handler);
+    return button;
+  }
+
+  /* one row per draft with its actions */
+  function buildRow(key) {
+    const entry = storedEntries[key];
+    const { label } = parseKey(key);
+    const data = getDraftData(key);
+    const wrapper = document.createElement('div');
+    const row = document.createElement('div');
+    row.className = 'draft';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selected.has(key);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        selected.add(key);
+      } else {
+        selected.delete(key);
+      }
+      updateSelectionControls();
+    });
+    const name = document.createElement('span');
+    name.className = 'name';
+    name.textContent = label;
+    name.title = key;
+    const meta = document.createElement('span');
+    meta.className = 'meta';
+    const fields = data ? `${Object.keys(data).length} fields` : 'encrypted';
+    meta.textContent = `${formatAge(entry.timestamp)} · ${fields} · ${formatSize(entry)}`;
+    let preview = null;
+    const previewBtn = makeButton('Preview', () => {
+      if (preview) {
+        preview.remove();
+        preview = null;
+      } else {
+        preview = buildPreview(key);
+        wrapper.appendChild(preview);
+      }
+    });
+    row.appendChild(checkbox);
+    row.appendChild(name);
+    row.appendChild(meta);
+    row.appendChild(previewBtn);
+    row.appendChild(makeButton('Copy', () => copyDraft(key)));
+    row.appendChild(makeButton('Open & restore', () => openAndRestore(key)));
+    row.appendChild(makeButton('Delete', () => deleteDrafts([key])));
+    wrapper.appendChild(row);
+    return wrapper;
+  }
+
+  /* enable bulk controls to match the selection */
+  function updateSelectionControls() {
+    const visible = getVisibleKeys();
+    deleteSelectedBtn.disabled = selected.size === 0;
+    selectAllCheckbox.checked = visible.length > 0 && visible.every(key => selected.has(key));
+  }
+
+  /* draw the drafts grouped by site, then by page, newest first */
+  function render() {
+    draftList.textContent = '';
+    const keys = getVisibleKeys().sort((a, b) => (storedEntries[b].timestamp || 0) - (storedEntries[a].timestamp || 0));
+    if (!keys.length) {
+      draftList.textContent = Object.keys(storedEntries).length ? 'No drafts match your search.' : 'No saved drafts.';
+      updateSelectionControls();
+      return;
+    }
+    const sites = {};
+    keys.forEach(key => {
+      const { host, url } = parseKey(key);
+      sites[host] = sites[host] || {};
+      sites[host][url] = sites[host][url] || [];
+      sites[host][url].push(key);
+    });
+    Object.keys(sites).sort().forEach(host => {
+      const pages = sites[host];
+      const count = Object.values(pages).reduce((sum, list) => sum + list.length, 0);
+      const heading = document.createElement('h2');
+      heading.textContent = `${host} (${count})`;
+      draftList.appendChild(heading);
+      Object.keys(pages).forEach(url => {
+        const pageHeading = document.createElement('h3');
+        pageHeading.textContent = url;
+        draftList.appendChild(pageHeading);
+        pages[url].forEach(key => draftList.appendChild(buildRow(key)));
+      });
+    });
+    updateSelectionControls();
+  }
+
+  /* read every draft; encrypted drafts are opened by the background script when the store is unlocked */
+  function loadDrafts() {
+    chrome.storage.local.get(null, items => {
+      storedEntries = {};
+      Object.keys(items)
+        .filter(key => Settings.isDraftKey(key) && items[key] && typeof items[key] === 'object')
+        .forEach(key => { storedEntries[key] = items[key]; });
+      chrome.runtime.sendMessage({ type: 'OPEN_DRAFTS', entries: storedEntries }, response => {
+        openedEntries = !chrome.runtime.lastError && response && response.entries ? response.entries : null;
+        if (response && response.locked) {
+          showStatus('drafts are encrypted; unlock them in the popup to search and preview');
+        }
+        render();
+      });
+    });
+  }
+
+  searchInput.addEventListener('input', render);
+  selectAllCheckbox.addEventListener('change', () => {
+    getVisibleKeys().forEach(key => {
+      if (selectAllCheckbox.checked) {
+        selected.add(key);
+      } else {
+        selected.delete(key);
+      }
+    });
+    render();
+  });
+  deleteSelectedBtn.addEventListener('click', () => {
+    const keys = Array.from(selected);
+    if (keys.length && confirm(`Delete ${keys.length} draft${keys.length === 1 ? '' : 's'}?`)) {
+      deleteDrafts(keys);
+    }
+  });
+
+  loadDrafts();
+});
@@ -1,53 +1,320 @@
 /*
  (c) 2025 SC5K Systems
  options.js
- manages loading and saving user settings for auto form recovery
+ manages loading and saving user settings for auto form recovery, and exports/imports drafts and settings as a
+ versioned json backup (optionally encrypted with a passphrase)
 */
 
 document.addEventListener('DOMContentLoaded', () => {
   const enabledCheckbox = document.getElementById('enabled');
   const retentionInput = document.getElementById('retentionDays');
-  const ignoreTextarea = document.getElementById('ignoreDomains');
+  const storageBudgetInput = document.getElementById('storageBudgetMB');
+  const saveDelayInput = document.getElementById('saveDelayMs');
+  const saveMaxWaitInput = document.getElementById('saveMaxWaitMs');
+  const showSaveIndicatorCheckbox = document.getElementById('showSaveIndicator');
+  const rulesList = document.getElementById('rulesList');
+  const addRuleBtn = document.getElementById('addRuleBtn');
   const ignoreLoginFormsCheckbox = document.getElementById('ignoreLoginForms');
+  const ignoreQueryParamsTextarea = document.getElementById('ignoreQueryParams');
+  const includeHashRoutesCheckbox = document.getElementById('includeHashRoutes');
+  const restorePolicySelect = document.getElementById('restorePolicy');
+  const discardOnSubmitCheckbox = document.getElementById('discardOnSubmit');
+  const submitGraceInput = document.getElementById('submitGraceMinutes');
+  const keepOnSubmitTextarea = document.getElementById('keepOnSubmitDomains');
+  const sensitiveCategoryCheckboxes = Array.from(document.querySelectorAll('[data-sensitive-category]'));
+  const sensitiveActionSelect = document.getElementById('sensitiveAction');
+  const sensitivePatternsTextarea = document.getElementById('sensitivePatterns');
   const saveBtn = document.getElementById('saveBtn');
   const statusDiv = document.getElementById('status');
 
-  /* default settings */
-  const DEFAULTS = {
-    enabled: true,
-    retentionDays: 30,
-    ignoreDomains: [],
-    ignoreLoginForms: true
-  };
+  /* shared settings and storage layout (settings.js) */
+  const Settings = AutoFormRecoverySettings;
+  const DEFAULTS = Settings.DEFAULTS;
+
+  /* add an editable row for one site rule */
+  function addRuleRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'rule';
+    const field = (tag, name, attrs) => {
+      const el = document.createElement(tag);
+      el.dataset.field = name;
+      Object.assign(el, attrs);
+      row.appendChild(el);
+      return el;
+    };
+    const option = (select, value, text) => {
+      const el = document.createElement('option');
+      el.value = value;
+      el.textContent = text;
+      select.appendChild(el);
+    };
+    field('input', 'host', { type: 'text', placeholder: '*.example.com', value: rule.host || '' });
+    field('input', 'path', { type: 'text', placeholder: '/path/* (optional)', value: rule.path || '' });
+    const enabled = field('select', 'enabled', {});
+    option(enabled, '', 'Recovery: inherit');
+    option(enabled, 'true', 'Recovery: on');
+    option(enabled, 'false', 'Recovery: off');
+    enabled.value = typeof rule.enabled === 'boolean' ? String(rule.enabled) : '';
+    field('input', 'retentionDays', { type: 'number', min: 1, max: 365, placeholder: 'Retention (days)', value: rule.retentionDays || '' });
+    const loginForms = field('select', 'loginForms', {});
+    option(loginForms, 'auto', 'Login forms: detect');
+    option(loginForms, 'normal', 'Treat as normal forms');
+    option(loginForms, 'login', 'Treat as login forms');
+    loginForms.value = rule.loginForms || 'auto';
+    field('input', 'include', { type: 'text', placeholder: 'Always save fields matching (CSS)', value: rule.include || '' });
+    field('input', 'exclude', { type: 'text', placeholder: 'Never save fields matching (CSS)', value: rule.exclude || '' });
+    const remove = document.createElement('button');
+    remove.textContent = 'Remove';
+    remove.className = 'remove';
+    remove.addEventListener('click', () => row.remove());
+    row.appendChild(remove);
+    rulesList.appendChild(row);
+  }
+
+  /* read the rule editor back into rule objects, leaving out empty optional fields */
+  function readRules() {
+    return Array.from(rulesList.querySelectorAll('.rule')).map(row => {
+      const value = name => row.querySelector(`[data-field="${name}"]`).value.trim();
+      const rule = { host: value('host') };
+      if (value('path')) rule.path = value('path');
+      if (value('enabled')) rule.enabled = value('enabled') === 'true';
+      if (value('retentionDays')) rule.retentionDays = parseInt(value('retentionDays'), 10);
+      if (value('loginForms') !== 'auto') rule.loginForms = value('loginForms');
+      if (value('include')) rule.include = value('include');
+      if (value('exclude')) rule.exclude = value('exclude');
+      return rule;
+    }).filter(rule => Object.keys(rule).length > 1 || rule.host);
+  }
 
   function loadSettings() {
     /* use local storage since sync is unavailable for temporary add-ons in Firefox */
-    chrome.storage.local.get({ settings: DEFAULTS }, items => {
-      const settings = items.settings || DEFAULTS;
+    Settings.load(settings => {
       enabledCheckbox.checked = settings.enabled;
       retentionInput.value = settings.retentionDays;
-      ignoreTextarea.value = settings.ignoreDomains.join(', ');
+      storageBudgetInput.value = settings.storageBudgetMB;
+      saveDelayInput.value = settings.saveDelayMs;
+      saveMaxWaitInput.value = settings.saveMaxWaitMs;
+      showSaveIndicatorCheckbox.checked = settings.showSaveIndicator !== false;
+      /* domains from the older ignore list show up as disabling rules and are saved as rules */
+      rulesList.textContent = '';
+      AutoFormRecoveryRules.getRules(settings).forEach(addRuleRow);
       ignoreLoginFormsCheckbox.checked = settings.ignoreLoginForms !== false;
+      ignoreQueryParamsTextarea.value = settings.ignoreQueryParams.join(', ');
+      includeHashRoutesCheckbox.checked = settings.includeHashRoutes !== false;
+      restorePolicySelect.value = settings.restorePolicy;
+      discardOnSubmitCheckbox.checked = settings.discardOnSubmit !== false;
+      submitGraceInput.value = settings.submitGraceMinutes;
+      keepOnSubmitTextarea.value = settings.keepOnSubmitDomains.join(', ');
+      sensitiveCategoryCheckboxes.forEach(checkbox => {
+        checkbox.checked = settings.sensitiveCategories[checkbox.dataset.sensitiveCategory] !== false;
+      });
+      sensitiveActionSelect.value = settings.sensitiveAction;
+      sensitivePatternsTextarea.value = settings.sensitivePatterns.join('\n');
     });
   }
 
   function saveSettings() {
-    const settings = {
+    /* custom patterns are regular expressions, one per line; refuse to save an invalid one */
+    const sensitivePatterns = sensitivePatternsTextarea.value
+      .split('\n')
+      .map(s => s.trim())
+      .filter(Boolean);
+    const invalid = sensitivePatterns.find(pattern => {
+      try {
+        new RegExp(pattern);
+        return false;
+      } catch (err) {
+        return true;
+      }
+    });
+    if (invalid) {
+      statusDiv.textContent = `Invalid pattern: ${invalid}`;
+      return;
+    }
+    const rules = readRules();
+    const ruleError = rules.map(AutoFormRecoveryRules.validateRule).find(Boolean);
+    if (ruleError) {
+      statusDiv.textContent = `Invalid rule: ${ruleError}`;
+      return;
+    }
+    const sensitiveCategories = {};
+    sensitiveCategoryCheckboxes.forEach(checkbox => {
+      sensitiveCategories[checkbox.dataset.sensitiveCategory] = checkbox.checked;
+    });
+    const changes = {
       enabled: enabledCheckbox.checked,
       retentionDays: parseInt(retentionInput.value, 10) || DEFAULTS.retentionDays,
-      ignoreDomains: ignoreTextarea.value
+      storageBudgetMB: parseInt(storageBudgetInput.value, 10) || DEFAULTS.storageBudgetMB,
+      saveDelayMs: parseInt(saveDelayInput.value, 10) || DEFAULTS.saveDelayMs,
+      saveMaxWaitMs: parseInt(saveMaxWaitInput.value, 10) || DEFAULTS.saveMaxWaitMs,
+      showSaveIndicator: showSaveIndicatorCheckbox.checked,
+      ignoreDomains: [],
+      rules,
+      ignoreLoginForms: ignoreLoginFormsCheckbox.checked,
+      ignoreQueryParams: ignoreQueryParamsTextarea.value
+        .split(',')
+        .map(s => s.trim())
+        .filter(Boolean),
+      includeHashRoutes: includeHashRoutesCheckbox.checked,
+      restorePolicy: restorePolicySelect.value,
+      discardOnSubmit: discardOnSubmitCheckbox.checked,
+      submitGraceMinutes: parseInt(submitGraceInput.value, 10) || DEFAULTS.submitGraceMinutes,
+      keepOnSubmitDomains: keepOnSubmitTextarea.value
         .split(',')
         .map(s => s.trim())
         .filter(Boolean),
-      ignoreLoginForms: ignoreLoginFormsCheckbox.checked
+      sensitiveCategories,
+      sensitiveAction: sensitiveActionSelect.value,
+      sensitivePatterns
     };
-    /* persist settings to local storage; avoid sync because it requires an explicit id */
-    chrome.storage.local.set({ settings }, () => {
+    /* merge into the stored settings so keys edited elsewhere are kept; persisted to local storage, since sync
+       requires an explicit id */
+    Settings.update(changes, () => {
       statusDiv.textContent = 'Settings saved.';
       setTimeout(() => (statusDiv.textContent = ''), 3000);
     });
   }
 
+  const exportPassphraseInput = document.getElementById('exportPassphrase');
+  const exportBtn = document.getElementById('exportBtn');
+  const importFileInput = document.getElementById('importFile');
+  const importPassphraseInput = document.getElementById('importPassphrase');
+  const importPolicySelect = document.getElementById('importPolicy');
+  const importSettingsCheckbox = document.getElementById('importSettings');
+  const importBtn = document.getElementById('importBtn');
+  const backupStatusDiv = document.getElementById('backupStatus');
+
+  /* identifies backup files and the layout of their payload */
+  const BACKUP_FORMAT = 'auto-form-recovery-backup';
+  const BACKUP_VERSION = 1;
+
+  /* promise wrapper around runtime messaging; rejects with the background's error text */
+  function sendMessage(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, response => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response || response.error) {
+          reject(new Error((response && response.error) || 'no response'));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  /* true for a draft key in a backup; backups use the "url::form" page key without the storage prefix, so they
+     do not depend on the storage layout */
+  function isBackupKey(key) {
+    return typeof key === 'string' && key.includes('::');
+  }
+
+  /* return true if an imported entry has the shape the content script writes */
+  function isValidEntry(entry) {
+    return !!entry && typeof entry === 'object' && !!entry.data && typeof entry.data === 'object' &&
+      typeof entry.timestamp === 'number' && (entry.history === undefined || Array.isArray(entry.history));
+  }
+
+  /* write every draft and the settings to a json file; encrypted drafts are opened first, so the store must be unlocked */
+  async function exportBackup() {
+    const items = await chrome.storage.local.get(null);
+    const stored = {};
+    Object.keys(items).filter(Settings.isDraftKey).forEach(key => { stored[key] = items[key]; });
+    const opened = await sendMessage({ type: 'OPEN_DRAFTS', entries: stored });
+    if (opened.locked) throw new Error('unlock your drafts in the popup before exporting');
+    const entries = {};
+    Object.keys(opened.entries).forEach(key => { entries[Settings.toPageKey(key)] = opened.entries[key]; });
+    const payload = { settings: Settings.validate(items[Settings.SETTINGS_KEY]), entries };
+    const file = { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString() };
+    if (exportPassphraseInput.value) {
+      file.encrypted = (await sendMessage({ type: 'BACKUP_ENCRYPT', passphrase: exportPassphraseInput.value, payload })).backup;
+    } else {
+      Object.assign(file, payload);
+    }
+    const url = URL.createObjectURL(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `auto-form-recovery-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    exportPassphraseInput.value = '';
+    return Object.keys(payload.entries).length;
+  }
+
+  /* read a backup file, validate it and merge its drafts using the chosen conflict policy:
+     "newer" keeps whichever copy was saved last, "existing" never replaces, "overwrite" always replaces */
+  async function importBackup() {
+    const fileHandle = importFileInput.files[0];
+    if (!fileHandle) throw new Error('choose a backup file first');
+    let file;
+    try {
+      file = JSON.parse(await fileHandle.text());
+    } catch (err) {
+      throw new Error('the file is not valid JSON');
+    }
+    if (!file || file.format !== BACKUP_FORMAT) throw new Error('the file is not an Auto Form Recovery backup');
+    if (typeof file.version !== 'number' || file.version > BACKUP_VERSION) throw new Error('the backup was made by a newer version');
+    let payload = file;
+    if (file.encrypted) {
+      if (!importPassphraseInput.value) throw new Error('this backup is encrypted; enter its passphrase');
+      payload = (await sendMessage({ type: 'BACKUP_DECRYPT', passphrase: importPassphraseInput.value, backup: file.encrypted })).payload;
+    }
+    if (!payload.entries || typeof payload.entries !== 'object') throw new Error('the backup contains no drafts');
+    const policy = importPolicySelect.value;
+    const items = await chrome.storage.local.get(null);
+    const counts = { added: 0, skipped: 0, replaced: 0, invalid: 0 };
+    const updates = {};
+    for (const [pageKey, stored] of Object.entries(payload.entries)) {
+      /* backups from older versions may hold drafts in an older entry shape */
+      const entry = Settings.upgradeEntry(stored);
+      if (!isBackupKey(pageKey) || !isValidEntry(entry)) {
+        counts.invalid++;
+        continue;
+      }
+      const key = Settings.toDraftKey(pageKey);
+      const existing = items[key];
+      if (existing && (policy === 'existing' || (policy === 'newer' && (existing.timestamp || 0) >= entry.timestamp))) {
+        counts.skipped++;
+        continue;
+      }
+      counts[existing ? 'replaced' : 'added']++;
+      /* the background seals the entry when draft encryption is on and returns it unchanged otherwise */
+      updates[key] = (await sendMessage({ type: 'SEAL_DRAFT', entry })).entry;
+    }
+    if (importSettingsCheckbox.checked && payload.settings && typeof payload.settings === 'object') {
+      updates[Settings.SETTINGS_KEY] = Settings.validate(Object.assign({}, items[Settings.SETTINGS_KEY], payload.settings));
+    }
+    await chrome.storage.local.set(updates);
+    importPassphraseInput.value = '';
+    return counts;
+  }
+
+  /* show a message in the backup section */
+  function showBackupStatus(text) {
+    backupStatusDiv.textContent = text;
+  }
+
+  exportBtn.addEventListener('click', () => {
+    exportBtn.disabled = true;
+    exportBackup()
+      .then(count => showBackupStatus(`Exported ${count} draft${count === 1 ? '' : 's'}.`))
+      .catch(err => showBackupStatus(`Export failed: ${err.message}`))
+      .finally(() => { exportBtn.disabled = false; });
+  });
+
+  importBtn.addEventListener('click', () => {
+    importBtn.disabled = true;
+    importBackup()
+      .then(counts => {
+        showBackupStatus(`Imported: ${counts.added} added, ${counts.replaced} replaced, ${counts.skipped} skipped` +
+          (counts.invalid ? `, ${counts.invalid} invalid` : '') + '.');
+        if (importSettingsCheckbox.checked) loadSettings();
+      })
+      .catch(err => showBackupStatus(`Import failed: ${err.message}`))
+      .finally(() => { importBtn.disabled = false; });
+  });
+
+  addRuleBtn.addEventListener('click', () => addRuleRow({}));
   saveBtn.addEventListener('click', saveSettings);
   loadSettings();
 });
\ No newline at end of file
@@ -2,7 +2,10 @@
  (c) 2025 SC5K Systems
  popup.js
  displays the total number of saved forms and offers quick actions: disable/enable the extension on the current site,
- clear data for the current site or all sites, and open the settings page.
+ clear data for the current site or all sites, browse and restore earlier draft versions for the current page,
+ turn draft encryption on or off and lock/unlock it, show storage usage per site (warning when storage is nearly
+ full), reopen recently closed tabs that held unsubmitted drafts, explain which forms on the page were skipped as
+ sign‑in forms (and mark them otherwise), and open the draft manager or the settings page.
 */
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -11,6 +14,7 @@ document.addEventListener('DOMContentLoaded', () => {
   const countSpan = document.getElementById('count');
   const domainName = document.getElementById('domainName');
   const ignoreToggle = document.getElementById('ignoreDomainToggle');
+  const keepOnSubmitToggle = document.getElementById('keepOnSubmitToggle');
   const clearSiteBtn = document.getElementById('clearSiteBtn');
   const clearBtn = document.getElementById('clearBtn');
   const openSettingsBtn = document.getElementById('openSettingsBtn');
@@ -21,18 +25,57 @@ document.addEventListener('DOMContentLoaded', () => {
   const backToHomeBtn = document.getElementById('backToHome');
   const popupEnabled = document.getElementById('popupEnabled');
   const popupRetention = document.getElementById('popupRetentionDays');
-  const popupIgnoreDomains = document.getElementById('popupIgnoreDomains');
+  const openRulesBtn = document.getElementById('openRulesBtn');
   const popupIgnoreLoginForms = document.getElementById('popupIgnoreLoginForms');
   const popupSaveBtn = document.getElementById('popupSaveBtn');
   const popupStatusDiv = document.getElementById('popupStatus');
 
-  /* default settings used when none are stored */
-  const DEFAULTS = { enabled: true, retentionDays: 30, ignoreDomains: [], ignoreLoginForms: true };
+  /* elements for encryption section */
+  const encryptionState = document.getElementById('encryptionState');
+  const passphraseInput = document.getElementById('passphrase');
+  const passphraseConfirmInput = document.getElementById('passphraseConfirm');
+  const encryptionEnableBtn = document.getElementById('encryptionEnableBtn');
+  const encryptionUnlockBtn = document.getElementById('encryptionUnlockBtn');
+  const encryptionLockBtn = document.getElementById('encryptionLockBtn');
+  const encryptionDisableBtn = document.getElementById('encryptionDisableBtn');
+  const encryptionButtons = [encryptionEnableBtn, encryptionUnlockBtn, encryptionLockBtn, encryptionDisableBtn];
 
-  /* update the total count of saved forms (exclude settings entry) */
+  /* elements for history view */
+  const historyView = document.getElementById('historyView');
+  const openHistoryBtn = document.getElementById('openHistoryBtn');
+  const openManagerBtn = document.getElementById('openManagerBtn');
+  const historyBackBtn = document.getElementById('historyBackToHome');
+  const historyList = document.getElementById('historyList');
+  const historyStatusDiv = document.getElementById('historyStatus');
+
+  /* elements for storage warning and usage view */
+  const storageWarning = document.getElementById('storageWarning');
+  const storageView = document.getElementById('storageView');
+  const openStorageBtn = document.getElementById('openStorageBtn');
+  const storageBackBtn = document.getElementById('storageBackToHome');
+  const storageSummary = document.getElementById('storageSummary');
+  const storageList = document.getElementById('storageList');
+
+  /* elements for recently closed drafts view */
+  const closedView = document.getElementById('closedView');
+  const openClosedBtn = document.getElementById('openClosedBtn');
+  const closedBackBtn = document.getElementById('closedBackToHome');
+  const closedList = document.getElementById('closedList');
+  const closedStatusDiv = document.getElementById('closedStatus');
+
+  /* elements for sign‑in detection view */
+  const loginView = document.getElementById('loginView');
+  const openLoginBtn = document.getElementById('openLoginBtn');
+  const loginBackBtn = document.getElementById('loginBackToHome');
+  const loginList = document.getElementById('loginList');
+
+  /* shared settings and storage layout (settings.js) */
+  const Settings = AutoFormRecoverySettings;
+
+  /* update the total count of saved forms */
   function updateCount() {
     chrome.storage.local.get(null, items => {
-      const keys = Object.keys(items).filter(k => k !== 'settings');
+      const keys = Object.keys(items).filter(Settings.isDraftKey);
       countSpan.textContent = keys.length.toString();
     });
   }
@@ -45,9 +88,9 @@ document.addEventListener('DOMContentLoaded', () => {
         const url = new URL(tabs[0].url);
         const domain = url.hostname;
         domainName.textContent = domain;
-        chrome.storage.local.get({ settings: DEFAULTS }, items => {
-          const settings = items.settings;
-          ignoreToggle.checked = (settings.ignoreDomains || []).includes(domain);
+        Settings.load(settings => {
+          ignoreToggle.checked = !AutoFormRecoveryRules.resolve(settings, url).enabled;
+          keepOnSubmitToggle.checked = (settings.keepOnSubmitDomains || []).includes(domain);
         });
       } catch (err) {
         domainName.textContent = 'unknown';
@@ -55,24 +98,48 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
-  /* toggle ignore status for current domain */
+  /* toggle ignore status for current domain by adding or removing a site rule; if a wildcard or path rule still
+     disables the site, an enabling rule for the domain is appended so it wins */
   ignoreToggle.addEventListener('change', () => {
     chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
       if (!tabs || !tabs.length) return;
       const domain = (() => { try { return new URL(tabs[0].url).hostname; } catch (err) { return null; }})();
       if (!domain) return;
-      chrome.storage.local.get({ settings: DEFAULTS }, items => {
-        const settings = items.settings;
-        const list = settings.ignoreDomains || [];
+      Settings.load(settings => {
+        /* older ignoreDomains entries are folded into the rules */
+        let rules = AutoFormRecoveryRules.getRules(settings);
+        const isSiteToggle = rule => rule.host === domain && !rule.path && typeof rule.enabled === 'boolean' &&
+          Object.keys(rule).length === 2;
+        rules = rules.filter(rule => !isSiteToggle(rule));
+        if (ignoreToggle.checked) {
+          rules.push({ host: domain, enabled: false });
+        } else if (!AutoFormRecoveryRules.resolve({ rules }, tabs[0].url).enabled) {
+          rules.push({ host: domain, enabled: true });
+        }
+        Settings.update({ rules, ignoreDomains: [] }, () => {
+          statusDiv.textContent = ignoreToggle.checked ? `disabled on ${domain}` : `enabled on ${domain}`;
+          setTimeout(() => { statusDiv.textContent = ''; }, 3000);
+        });
+      });
+    });
+  });
+
+  /* toggle keeping drafts after submit for current domain */
+  keepOnSubmitToggle.addEventListener('change', () => {
+    chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
+      if (!tabs || !tabs.length) return;
+      const domain = (() => { try { return new URL(tabs[0].url).hostname; } catch (err) { return null; }})();
+      if (!domain) return;
+      Settings.load(settings => {
+        const list = settings.keepOnSubmitDomains.slice();
         const idx = list.indexOf(domain);
-        if (ignoreToggle.checked && idx < 0) {
+        if (keepOnSubmitToggle.checked && idx < 0) {
           list.push(domain);
-        } else if (!ignoreToggle.checked && idx >= 0) {
+        } else if (!keepOnSubmitToggle.checked && idx >= 0) {
           list.splice(idx, 1);
         }
-        settings.ignoreDomains = list;
-        chrome.storage.local.set({ settings }, () => {
-          statusDiv.textContent = ignoreToggle.checked ? `disabled on ${domain}` : `enabled on ${domain}`;
+        Settings.update({ keepOnSubmitDomains: list }, () => {
+          statusDiv.textContent = keepOnSubmitToggle.checked ? `keeping drafts after submit on ${domain}` : `discarding drafts after submit on ${domain}`;
           setTimeout(() => { statusDiv.textContent = ''; }, 3000);
         });
       });
@@ -89,9 +156,8 @@ document.addEventListener('DOMContentLoaded', () => {
       if (!domain) return;
       chrome.storage.local.get(null, items => {
         const keysToRemove = [];
-        Object.keys(items).forEach(key => {
-          if (key === 'settings') return;
-          const urlPart = key.split('::')[0];
+        Object.keys(items).filter(Settings.isDraftKey).forEach(key => {
+          const urlPart = Settings.getDraftUrl(key);
           try {
             const host = new URL(urlPart).hostname;
             if (host === domain) {
@@ -115,11 +181,11 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
-  /* clear all saved data */
+  /* clear all saved data; the background keeps the encryption record so new drafts stay encrypted */
   clearBtn.addEventListener('click', () => {
     clearBtn.disabled = true;
     statusDiv.textContent = 'clearing...';
-    chrome.storage.local.clear(() => {
+    chrome.runtime.sendMessage({ type: 'CLEAR_FORM_DATA' }, () => {
       statusDiv.textContent = 'data cleared';
       clearBtn.disabled = false;
       updateCount();
@@ -127,14 +193,64 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
+  /* reflect the encryption state: off, locked or unlocked */
+  function loadEncryptionStatus() {
+    chrome.runtime.sendMessage({ type: 'ENCRYPTION_STATUS' }, status => {
+      if (chrome.runtime.lastError || !status) return;
+      encryptionState.textContent = !status.enabled ? 'off' : status.unlocked ? 'unlocked' : 'locked';
+      passphraseInput.style.display = status.enabled && status.unlocked ? 'none' : '';
+      passphraseConfirmInput.style.display = status.enabled ? 'none' : '';
+      encryptionEnableBtn.style.display = status.enabled ? 'none' : '';
+      encryptionUnlockBtn.style.display = status.enabled && !status.unlocked ? '' : 'none';
+      encryptionLockBtn.style.display = status.enabled && status.unlocked ? '' : 'none';
+      encryptionDisableBtn.style.display = status.enabled && status.unlocked ? '' : 'none';
+    });
+  }
+
+  /* send an encryption command and report the outcome; the buttons stay disabled until it is done, so a second
+     click cannot start another command meanwhile. a new passphrase has to be typed twice */
+  function runEncryptionCommand(type, doneText) {
+    const message = { type };
+    const showError = text => {
+      statusDiv.textContent = text;
+      setTimeout(() => { statusDiv.textContent = ''; }, 3000);
+    };
+    if (type === 'ENCRYPTION_SETUP' || type === 'ENCRYPTION_UNLOCK') {
+      if (!passphraseInput.value) {
+        showError('enter a passphrase');
+        return;
+      }
+      if (type === 'ENCRYPTION_SETUP' && passphraseConfirmInput.value !== passphraseInput.value) {
+        showError('the passphrases do not match');
+        return;
+      }
+      message.passphrase = passphraseInput.value;
+    }
+    statusDiv.textContent = 'working...';
+    encryptionButtons.forEach(button => { button.disabled = true; });
+    chrome.runtime.sendMessage(message, response => {
+      encryptionButtons.forEach(button => { button.disabled = false; });
+      passphraseInput.value = '';
+      passphraseConfirmInput.value = '';
+      statusDiv.textContent = chrome.runtime.lastError || !response || response.error
+        ? (response && response.error) || 'encryption is unavailable'
+        : doneText;
+      setTimeout(() => { statusDiv.textContent = ''; }, 3000);
+      loadEncryptionStatus();
+    });
+  }
+
+  encryptionEnableBtn.addEventListener('click', () => runEncryptionCommand('ENCRYPTION_SETUP', 'drafts are now encrypted'));
+  encryptionUnlockBtn.addEventListener('click', () => runEncryptionCommand('ENCRYPTION_UNLOCK', 'drafts unlocked'));
+  encryptionLockBtn.addEventListener('click', () => runEncryptionCommand('ENCRYPTION_LOCK', 'drafts locked'));
+  encryptionDisableBtn.addEventListener('click', () => runEncryptionCommand('ENCRYPTION_DISABLE', 'encryption turned off'));
+
   /* show the settings view */
   function showSettings() {
     /* load settings into popup fields */
-    chrome.storage.local.get({ settings: DEFAULTS }, items => {
-      const settings = items.settings || DEFAULTS;
+    Settings.load(settings => {
       popupEnabled.checked = settings.enabled;
       popupRetention.value = settings.retentionDays;
-      popupIgnoreDomains.value = (settings.ignoreDomains || []).join(', ');
       popupIgnoreLoginForms.checked = settings.ignoreLoginForms !== false;
     });
     homeView.style.display = 'none';
@@ -152,16 +268,13 @@ document.addEventListener('DOMContentLoaded', () => {
 
   /* handle save in settings view */
   function savePopupSettings() {
-    const settings = {
+    const changes = {
       enabled: popupEnabled.checked,
-      retentionDays: parseInt(popupRetention.value, 10) || DEFAULTS.retentionDays,
-      ignoreDomains: popupIgnoreDomains.value
-        .split(',')
-        .map(s => s.trim())
-        .filter(Boolean),
+      retentionDays: parseInt(popupRetention.value, 10) || Settings.DEFAULTS.retentionDays,
       ignoreLoginForms: popupIgnoreLoginForms.checked
     };
-    chrome.storage.local.set({ settings }, () => {
+    /* merge into the stored settings; the popup only edits a subset of them */
+    Settings.update(changes, () => {
       /* show a temporary notification inside the popup */
       popupStatusDiv.textContent = 'Settings saved.';
       popupStatusDiv.style.color = '#4caf50';
@@ -173,14 +286,346 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  /* short single‑line preview of a snapshot's text values */
+  function previewText(data) {
+    return Object.values(data || {})
+      .map(value => (typeof value === 'string' ? value : Array.isArray(value) ? value.join(', ')
+        : value && typeof value === 'object' ? value.text || value.masked : ''))
+      .filter(Boolean)
+      .join(' · ')
+      .replace(/\s+/g, ' ')
+      .slice(0, 80);
+  }
+
+  /* show a temporary message in the history view */
+  function showHistoryStatus(text) {
+    historyStatusDiv.textContent = text;
+    setTimeout(() => { historyStatusDiv.textContent = ''; }, 3000);
+  }
+
+  /* ask the page to restore one snapshot; the frame holding the form answers */
+  function restoreVersion(tabId, key, index) {
+    chrome.tabs.sendMessage(tabId, { type: 'RESTORE_VERSION', key, index }, response => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showHistoryStatus('form not found on this page');
+      } else {
+        showHistoryStatus('version restored');
+      }
+    });
+  }
+
+  /* list the saved versions of every form on the current page, newest first */
+  function loadHistory() {
+    historyList.textContent = '';
+    chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
+      if (!tabs || !tabs.length) return;
+      let page;
+      try {
+        const url = new URL(tabs[0].url);
+        page = url.origin + url.pathname;
+      } catch (err) {
+        return;
+      }
+      chrome.storage.local.get(null, stored => {
+        /* drafts for any query/hash variant of this page; the page path is everything before "?" or "#" */
+        const pageEntries = {};
+        Object.keys(stored)
+          .filter(key => Settings.isDraftKey(key) && Settings.getDraftUrl(key).split(/[?#]/)[0] === page)
+          .forEach(key => { pageEntries[key] = stored[key]; });
+        if (!Object.keys(pageEntries).length) {
+          historyList.textContent = 'No saved drafts for this page.';
+          return;
+        }
+        /* encrypted drafts are opened by the background script */
+        chrome.runtime.sendMessage({ type: 'OPEN_DRAFTS', entries: pageEntries }, response => {
+          if (chrome.runtime.lastError || !response || response.error) {
+            historyList.textContent = 'Could not read the saved drafts.';
+            return;
+          }
+          if (response.locked) {
+            historyList.textContent = 'Drafts are encrypted. Unlock them on the main view to see their history.';
+            return;
+          }
+          renderHistory(tabs[0].id, response.entries);
+        });
+      });
+    });
+  }
+
+  /* draw the history list for the given plaintext entries */
+  function renderHistory(tabId, items) {
+    const keys = Object.keys(items).sort((a, b) => (items[b].timestamp || 0) - (items[a].timestamp || 0));
+    keys.forEach(key => {
+      const entry = items[key];
+      const versions = entry.history || [{ data: entry.data, timestamp: entry.timestamp }];
+      const heading = document.createElement('div');
+      heading.className = 'history-form';
+      heading.textContent = Settings.getDraftLabel(key);
+      heading.title = key;
+      historyList.appendChild(heading);
+      versions
+        .map((version, index) => ({ version, index }))
+        .reverse()
+        .forEach(({ version, index }) => {
+          const row = document.createElement('div');
+          row.className = 'history-version';
+          const meta = document.createElement('div');
+          meta.className = 'history-meta';
+          const time = document.createElement('div');
+          time.textContent = version.timestamp ? new Date(version.timestamp).toLocaleString() : 'unknown time';
+          const preview = document.createElement('div');
+          preview.className = 'history-preview';
+          preview.textContent = previewText(version.data) || '(empty)';
+          meta.appendChild(time);
+          meta.appendChild(preview);
+          const restoreBtn = document.createElement('button');
+          restoreBtn.textContent = 'Restore';
+          restoreBtn.addEventListener('click', () => restoreVersion(tabId, key, index));
+          row.appendChild(meta);
+          row.appendChild(restoreBtn);
+          historyList.appendChild(row);
+        });
+    });
+  }
+
+  /* list tabs closed while their forms held unsubmitted drafts, newest first; drafts that have since been
+     submitted, cleared or expired are left out, and so are tabs with none left */
+  function loadClosedTabs() {
+    closedList.textContent = '';
+    chrome.storage.local.get(null, stored => {
+      const tabs = (stored[Settings.CLOSED_TABS_KEY] || [])
+        .map(tab => Object.assign({}, tab, { keys: tab.keys.filter(key => stored[key] && !stored[key].submittedAt) }))
+        .filter(tab => tab.keys.length);
+      if (!tabs.length) {
+        closedList.textContent = 'No recently closed drafts.';
+        return;
+      }
+      const entries = {};
+      tabs.forEach(tab => tab.keys.forEach(key => { entries[key] = stored[key]; }));
+      /* encrypted drafts are opened by the background script; while locked they are listed without a preview */
+      chrome.runtime.sendMessage({ type: 'OPEN_DRAFTS', entries }, response => {
+        const opened = !chrome.runtime.lastError && response && !response.error && !response.locked ? response.entries : {};
+        tabs.forEach(tab => renderClosedTab(tab, opened));
+      });
+    });
+  }
+
+  /* one row of the recently closed list: title, address, time closed and a preview of its drafts */
+  function renderClosedTab(tab, entries) {
+    const row = document.createElement('div');
+    row.className = 'closed-tab';
+    const meta = document.createElement('div');
+    meta.className = 'closed-meta';
+    const title = document.createElement('div');
+    title.className = 'closed-title';
+    title.textContent = tab.title || tab.url;
+    const url = document.createElement('div');
+    url.className = 'closed-url';
+    url.textContent = tab.url;
+    url.title = tab.url;
+    const time = document.createElement('div');
+    time.textContent = new Date(tab.closedAt).toLocaleString();
+    const preview = document.createElement('div');
+    preview.className = 'closed-preview';
+    preview.textContent = tab.keys.map(key => entries[key] ? previewText(entries[key].data) : '').filter(Boolean).join(' · ') ||
+      (tab.keys.some(key => !entries[key]) ? '(encrypted)' : '(empty)');
+    meta.appendChild(title);
+    meta.appendChild(url);
+    meta.appendChild(time);
+    meta.appendChild(preview);
+    const reopenBtn = document.createElement('button');
+    reopenBtn.textContent = 'Reopen';
+    reopenBtn.addEventListener('click', () => {
+      closedStatusDiv.textContent = 'opening page...';
+      /* the background opens the tab and restores the drafts; the popup may close as the tab opens */
+      chrome.runtime.sendMessage({ type: 'REOPEN_CLOSED_TAB', id: tab.id }, response => {
+        closedStatusDiv.textContent = response && response.success ? 'draft restored' : 'the form was not found on the page';
+        loadClosedTabs();
+      });
+    });
+    row.appendChild(meta);
+    row.appendChild(reopenBtn);
+    closedList.appendChild(row);
+  }
+
+  /* tab shown in the sign‑in detection view */
+  let loginTabId = null;
+
+  /* how the content script of each frame classified the page's forms; after a service worker restart the frames
+     are asked to report again and the view is redrawn when they do */
+  function loadLoginChecks() {
+    chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
+      if (!tabs || !tabs.length) return;
+      loginTabId = tabs[0].id;
+      chrome.runtime.sendMessage({ type: 'TAB_STATUS', tabId: loginTabId }, response => {
+        const frames = !chrome.runtime.lastError && response ? response.frames : [];
+        if (!frames.length) chrome.tabs.sendMessage(loginTabId, { type: 'REPORT_STATUS' }, () => void chrome.runtime.lastError);
+        renderLoginChecks(frames);
+      });
+    });
+  }
+
+  /* one line saying whether a form is saved and what decided it */
+  function describeLoginCheck(check) {
+    if (check.optedOut) return 'Not saved: the page opted this form out.';
+    const verdict = check.login ? 'Skipped as a sign‑in form' : 'Saved as a normal form';
+    if (check.source === 'override') return `${verdict}: you marked it on this site.`;
+    if (check.source === 'rule') return `${verdict}: a site rule applies to every form on this page.`;
+    if (check.source === 'page') return `${verdict}: the page opted it in with data-autorecovery="true".`;
+    if (check.source === 'setting') return `${verdict}: "Ignore sign‑in forms" is turned off.`;
+    return `${verdict}: score ${check.score} (sign‑in from ${check.threshold}).`;
+  }
+
+  /* list every form on the page with its verdict, the signals behind its score and a button to mark it otherwise */
+  function renderLoginChecks(frames) {
+    loginList.textContent = '';
+    const off = frames.length && frames.every(frame => !frame.enabled || !frame.siteEnabled);
+    const checks = [];
+    frames.forEach(frame => (frame.loginChecks || []).forEach(check => checks.push(Object.assign({ host: frame.host }, check))));
+    if (!checks.length) {
+      loginList.textContent = off ? 'Auto Form Recovery is off on this site.' : 'No forms found on this page.';
+      return;
+    }
+    checks.forEach(check => {
+      const item = document.createElement('div');
+      item.className = 'login-form';
+      const label = document.createElement('div');
+      label.className = 'login-label';
+      label.textContent = check.form;
+      const verdict = document.createElement('div');
+      verdict.textContent = describeLoginCheck(check);
+      item.appendChild(label);
+      item.appendChild(verdict);
+      if (check.reasons.length) {
+        const reasons = document.createElement('ul');
+        check.reasons.forEach(({ points, reason }) => {
+          const line = document.createElement('li');
+          line.textContent = `${points > 0 ? '+' : ''}${points} ${reason}`;
+          reasons.appendChild(line);
+        });
+        item.appendChild(reasons);
+      }
+      loginList.appendChild(item);
+      /* the page's opt‑out is final, so there is nothing to mark */
+      if (check.optedOut) return;
+      const button = document.createElement('button');
+      const value = check.source === 'override' ? null : !check.login;
+      button.textContent = value === null ? 'Detect automatically' : value ? 'This is a sign‑in form' : 'This is not a sign‑in form';
+      button.addEventListener('click', () => Settings.setLoginOverride(check.host, check.form, value));
+      item.appendChild(button);
+    });
+  }
+
+  /* the page's frames report again after an override is saved */
+  chrome.runtime.onMessage.addListener(message => {
+    if (message && message.type === 'TAB_STATUS_CHANGED' && message.tabId === loginTabId && loginView.style.display !== 'none') {
+      loadLoginChecks();
+    }
+  });
+
+  /* human readable byte count */
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  /* warn on the main view when storage is close to the budget */
+  function loadStorageWarning() {
+    chrome.runtime.sendMessage({ type: 'STORAGE_USAGE' }, usage => {
+      if (chrome.runtime.lastError || !usage || !usage.nearlyFull) {
+        storageWarning.style.display = 'none';
+        return;
+      }
+      storageWarning.textContent = `Storage is almost full (${formatBytes(usage.total)} of ${formatBytes(usage.budget)}). ` +
+        'The least recently used drafts will be removed to make room.';
+      storageWarning.style.display = 'block';
+    });
+  }
+
+  /* show total usage and usage per site, largest first */
+  function loadStorageUsage() {
+    storageSummary.textContent = '';
+    storageList.textContent = '';
+    chrome.runtime.sendMessage({ type: 'STORAGE_USAGE' }, usage => {
+      if (chrome.runtime.lastError || !usage) {
+        storageSummary.textContent = 'Could not measure storage.';
+        return;
+      }
+      const percent = Math.round((usage.total / usage.budget) * 100);
+      storageSummary.textContent = `${formatBytes(usage.total)} of ${formatBytes(usage.budget)} used (${percent}%)`;
+      if (!usage.sites.length) {
+        storageList.textContent = 'No saved drafts.';
+        return;
+      }
+      usage.sites.forEach(site => {
+        const row = document.createElement('div');
+        row.className = 'storage-site';
+        const host = document.createElement('span');
+        host.textContent = site.host;
+        const size = document.createElement('span');
+        size.textContent = `${formatBytes(site.size)} · ${site.count} draft${site.count === 1 ? '' : 's'}`;
+        row.appendChild(host);
+        row.appendChild(size);
+        storageList.appendChild(row);
+      });
+    });
+  }
+
+  /* show the history view */
+  function showHistory() {
+    loadHistory();
+    homeView.style.display = 'none';
+    historyView.style.display = 'block';
+  }
+
   /* attach event listeners */
   openSettingsBtn.addEventListener('click', showSettings);
   backToHomeBtn.addEventListener('click', () => {
     hideSettings();
   });
   popupSaveBtn.addEventListener('click', savePopupSettings);
+  openRulesBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+  openHistoryBtn.addEventListener('click', showHistory);
+  openManagerBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('manager.html') });
+  });
+  historyBackBtn.addEventListener('click', () => {
+    historyView.style.display = 'none';
+    hideSettings();
+  });
+  openClosedBtn.addEventListener('click', () => {
+    loadClosedTabs();
+    homeView.style.display = 'none';
+    closedView.style.display = 'block';
+  });
+  closedBackBtn.addEventListener('click', () => {
+    closedView.style.display = 'none';
+    hideSettings();
+  });
+  openLoginBtn.addEventListener('click', () => {
+    loadLoginChecks();
+    homeView.style.display = 'none';
+    loginView.style.display = 'block';
+  });
+  loginBackBtn.addEventListener('click', () => {
+    loginView.style.display = 'none';
+    hideSettings();
+  });
+  openStorageBtn.addEventListener('click', () => {
+    loadStorageUsage();
+    homeView.style.display = 'none';
+    storageView.style.display = 'block';
+  });
+  storageBackBtn.addEventListener('click', () => {
+    storageView.style.display = 'none';
+    hideSettings();
+    loadStorageWarning();
+  });
 
   /* initial setup */
   updateCount();
   loadDomainInfo();
+  loadEncryptionStatus();
+  loadStorageWarning();
 });
\ No newline at end of file
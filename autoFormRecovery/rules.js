@@ -0,0 +1,84 @@
+/*
+ (c) 2025 SC5K Systems
+ rules.js
+ site and field rules shared by the content script, background script, popup and options page. a rule matches a
+ hostname wildcard ("*.corp.example.com" also matches corp.example.com) and an optional url path pattern
+ ("/admin/*"); matching rules apply top to bottom, later ones overriding earlier ones field by field.
+*/
+
+const AutoFormRecoveryRules = (() => {
+  /* convert a simple wildcard pattern ("utm_*") into an anchored, case‑insensitive regular expression */
+  function wildcardToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`, 'i');
+  }
+
+  /* return true if a hostname matches a rule's host pattern */
+  function hostMatches(pattern, hostname) {
+    if (!pattern || pattern === '*') return true;
+    if (pattern.startsWith('*.') && hostname.toLowerCase() === pattern.slice(2).toLowerCase()) return true;
+    return wildcardToRegExp(pattern).test(hostname);
+  }
+
+  /* return true if a path matches a rule's path pattern; an empty pattern matches every path */
+  function pathMatches(pattern, pathname) {
+    if (!pattern) return true;
+    return wildcardToRegExp(pattern).test(pathname);
+  }
+
+  /* return true if the rule applies to the url (a URL object or string) */
+  function ruleMatches(rule, url) {
+    let parsed;
+    try {
+      parsed = typeof url === 'string' ? new URL(url) : url;
+    } catch (err) {
+      return false;
+    }
+    return hostMatches(rule.host, parsed.hostname) && pathMatches(rule.path, parsed.pathname);
+  }
+
+  /* every rule from settings; hostnames still listed in the older ignoreDomains setting become disabling rules */
+  function getRules(settings) {
+    const legacy = ((settings && settings.ignoreDomains) || []).map(host => ({ host, enabled: false }));
+    return legacy.concat((settings && settings.rules) || []);
+  }
+
+  /* combine the rules that match a url into one policy:
+     - enabled: false turns recovery off
+     - retentionDays: days to keep drafts (null falls back to settings.retentionDays)
+     - loginForms: "auto" uses the login heuristics, "normal" never treats forms as login forms, "login" always does
+     - include / exclude: css selectors for fields to force‑save (even with autocomplete="off") or never save */
+  function resolve(settings, url) {
+    const policy = { enabled: true, retentionDays: null, loginForms: 'auto', include: [], exclude: [] };
+    getRules(settings).forEach(rule => {
+      if (!rule || !ruleMatches(rule, url)) return;
+      if (typeof rule.enabled === 'boolean') policy.enabled = rule.enabled;
+      if (rule.retentionDays) policy.retentionDays = rule.retentionDays;
+      if (rule.loginForms && rule.loginForms !== 'auto') policy.loginForms = rule.loginForms;
+      if (rule.include) policy.include.push(rule.include);
+      if (rule.exclude) policy.exclude.push(rule.exclude);
+    });
+    return policy;
+  }
+
+  /* return an error message for an invalid rule, or null; selectors are checked when a document is available */
+  function validateRule(rule) {
+    if (!rule.host) return 'a rule needs a host pattern';
+    if (rule.retentionDays !== null && rule.retentionDays !== undefined && !(rule.retentionDays > 0)) {
+      return `retention for ${rule.host} must be a positive number of days`;
+    }
+    if (typeof document !== 'undefined') {
+      for (const selector of [rule.include, rule.exclude]) {
+        if (!selector) continue;
+        try {
+          document.createDocumentFragment().querySelector(selector);
+        } catch (err) {
+          return `invalid selector for ${rule.host}: ${selector}`;
+        }
+      }
+    }
+    return null;
+  }
+
+  return { wildcardToRegExp, ruleMatches, getRules, resolve, validateRule };
+})();
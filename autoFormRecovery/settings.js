@@ -0,0 +1,231 @@
+/*
+ (c) 2025 SC5K Systems
+ settings.js
+ storage schema shared by the content script, background script, popup, options page and draft manager: default
+ settings and their validation, the layout of draft keys ("draft:" + page url + "::" + form) and the metadata record
+ that holds the schema version. background.js migrates older data to this layout on install and update.
+*/
+
+const AutoFormRecoverySettings = (() => {
+  /* version of the storage layout; when it changes, bump it and add a migration step in background.js.
+     1: drafts under bare "url::form" keys, the earliest ones as plain field maps; no metadata record
+     2: drafts under "draft:" keys, always { data, timestamp, ... } or encrypted; settings validated */
+  const SCHEMA_VERSION = 2;
+
+  /* storage keys */
+  const SETTINGS_KEY = 'settings';
+  const META_KEY = 'meta';
+  const ENCRYPTION_KEY = 'encryption';
+  /* tabs whose page holds unsubmitted drafts, by tab id: { url, title, keys, updatedAt } */
+  const OPEN_TABS_KEY = 'openTabs';
+  /* recently closed tabs with drafts, newest first: [{ id, url, title, keys, closedAt }] */
+  const CLOSED_TABS_KEY = 'closedTabs';
+  const DRAFT_PREFIX = 'draft:';
+
+  /* settings used for keys that are not stored */
+  const DEFAULTS = {
+    enabled: true,
+    retentionDays: 30,
+    /* hostnames disabled before site rules existed; read as disabling rules */
+    ignoreDomains: [],
+    /* site rules: { host, path, enabled, retentionDays, loginForms, include, exclude }; see rules.js */
+    rules: [],
+    /* whether to skip saving/restoring login forms */
+    ignoreLoginForms: true,
+    /* forms the user marked as (true) or not as (false) sign‑in forms, by hostname and then form part of the draft
+       key; these win over the automatic detection */
+    loginOverrides: {},
+    /* query parameters (wildcards allowed) that do not distinguish drafts */
+    ignoreQueryParams: ['utm_*', 'fbclid', 'gclid', 'msclkid', 'mc_cid', 'mc_eid', '_ga'],
+    /* whether "#/route" hashes count as separate pages */
+    includeHashRoutes: true,
+    /* "auto" restores right away, "ask" waits for the banner, "never" leaves forms untouched */
+    restorePolicy: 'auto',
+    /* remove drafts once their form has been submitted, after a grace period in minutes */
+    discardOnSubmit: true,
+    submitGraceMinutes: 5,
+    /* sites where drafts are kept after submitting */
+    keepOnSubmitDomains: [],
+    /* sensitive‑data categories to filter, what to do with matches ("skip" or "mask") and extra regular
+       expressions tested against field names and values */
+    sensitiveCategories: { payment: true, governmentId: true, banking: true, oneTimeCode: true },
+    sensitiveAction: 'skip',
+    sensitivePatterns: [],
+    /* drafts beyond this many megabytes are evicted, least recently used first */
+    storageBudgetMB: 5,
+    /* save once typing pauses for saveDelayMs, and at least every saveMaxWaitMs while it continues */
+    saveDelayMs: 500,
+    saveMaxWaitMs: 5000,
+    /* show a small saving/saved note next to the form being edited */
+    showSaveIndicator: true
+  };
+
+  const RESTORE_POLICIES = ['auto', 'ask', 'never'];
+  const SENSITIVE_ACTIONS = ['skip', 'mask'];
+
+  /* return true for the storage key of a draft */
+  function isDraftKey(key) {
+    return typeof key === 'string' && key.startsWith(DRAFT_PREFIX);
+  }
+
+  /* storage key for a page key ("url::form") */
+  function toDraftKey(pageKey) {
+    return DRAFT_PREFIX + pageKey;
+  }
+
+  /* page key ("url::form") of a draft's storage key */
+  function toPageKey(key) {
+    return isDraftKey(key) ? key.slice(DRAFT_PREFIX.length) : key;
+  }
+
+  /* normalized page url a draft belongs to */
+  function getDraftUrl(key) {
+    return toPageKey(key).split('::')[0];
+  }
+
+  /* form part of a draft key (form id, fingerprint, "virtual:…" or "editable:…") */
+  function getDraftLabel(key) {
+    const pageKey = toPageKey(key);
+    return pageKey.slice(pageKey.indexOf('::') + 2);
+  }
+
+  /* value checks used by validate(); each falls back to the default for anything unexpected */
+  function toBoolean(value, fallback) {
+    return typeof value === 'boolean' ? value : fallback;
+  }
+
+  function toInteger(value, min, max, fallback) {
+    const number = typeof value === 'string' ? parseInt(value, 10) : value;
+    return Number.isFinite(number) && number >= min && number <= max ? Math.round(number) : fallback;
+  }
+
+  function toStringList(value, fallback) {
+    return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim()) : fallback.slice();
+  }
+
+  function toChoice(value, choices, fallback) {
+    return choices.includes(value) ? value : fallback;
+  }
+
+  /* { host: { form: boolean } } with anything else left out */
+  function toLoginOverrides(value) {
+    const overrides = {};
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return overrides;
+    Object.keys(value).forEach(host => {
+      const forms = value[host];
+      if (!forms || typeof forms !== 'object' || Array.isArray(forms)) return;
+      Object.keys(forms).forEach(form => {
+        if (typeof forms[form] !== 'boolean') return;
+        overrides[host] = overrides[host] || {};
+        overrides[host][form] = forms[form];
+      });
+    });
+    return overrides;
+  }
+
+  /* return true if a string compiles as a regular expression */
+  function isValidPattern(pattern) {
+    try {
+      new RegExp(pattern);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /* complete settings built from whatever is stored: unknown keys are dropped, wrong types and out‑of‑range numbers
+     fall back to the defaults, and invalid rules and patterns are left out */
+  function validate(stored) {
+    const input = stored && typeof stored === 'object' ? stored : {};
+    const categories = input.sensitiveCategories && typeof input.sensitiveCategories === 'object' ? input.sensitiveCategories : {};
+    const sensitiveCategories = {};
+    Object.keys(DEFAULTS.sensitiveCategories).forEach(category => {
+      sensitiveCategories[category] = toBoolean(categories[category], DEFAULTS.sensitiveCategories[category]);
+    });
+    const rules = Array.isArray(input.rules)
+      ? input.rules.filter(rule => rule && typeof rule === 'object' &&
+        (typeof AutoFormRecoveryRules === 'undefined' || !AutoFormRecoveryRules.validateRule(rule)))
+      : [];
+    return {
+      enabled: toBoolean(input.enabled, DEFAULTS.enabled),
+      retentionDays: toInteger(input.retentionDays, 1, 365, DEFAULTS.retentionDays),
+      ignoreDomains: toStringList(input.ignoreDomains, DEFAULTS.ignoreDomains),
+      rules,
+      ignoreLoginForms: toBoolean(input.ignoreLoginForms, DEFAULTS.ignoreLoginForms),
+      loginOverrides: toLoginOverrides(input.loginOverrides),
+      ignoreQueryParams: toStringList(input.ignoreQueryParams, DEFAULTS.ignoreQueryParams),
+      includeHashRoutes: toBoolean(input.includeHashRoutes, DEFAULTS.includeHashRoutes),
+      restorePolicy: toChoice(input.restorePolicy, RESTORE_POLICIES, DEFAULTS.restorePolicy),
+      discardOnSubmit: toBoolean(input.discardOnSubmit, DEFAULTS.discardOnSubmit),
+      submitGraceMinutes: toInteger(input.submitGraceMinutes, 1, 1440, DEFAULTS.submitGraceMinutes),
+      keepOnSubmitDomains: toStringList(input.keepOnSubmitDomains, DEFAULTS.keepOnSubmitDomains),
+      sensitiveCategories,
+      sensitiveAction: toChoice(input.sensitiveAction, SENSITIVE_ACTIONS, DEFAULTS.sensitiveAction),
+      sensitivePatterns: toStringList(input.sensitivePatterns, DEFAULTS.sensitivePatterns).filter(isValidPattern),
+      storageBudgetMB: toInteger(input.storageBudgetMB, 1, 100, DEFAULTS.storageBudgetMB),
+      saveDelayMs: toInteger(input.saveDelayMs, 100, 10000, DEFAULTS.saveDelayMs),
+      saveMaxWaitMs: toInteger(input.saveMaxWaitMs, 500, 60000, DEFAULTS.saveMaxWaitMs),
+      showSaveIndicator: toBoolean(input.showSaveIndicator, DEFAULTS.showSaveIndicator)
+    };
+  }
+
+  /* read the validated settings */
+  function load(callback) {
+    chrome.storage.local.get(SETTINGS_KEY, items => callback(validate(items && items[SETTINGS_KEY])));
+  }
+
+  /* merge changes into the stored settings, validate and save them; callback receives the saved settings */
+  function update(changes, callback) {
+    load(current => {
+      const settings = validate(Object.assign({}, current, changes));
+      chrome.storage.local.set({ [SETTINGS_KEY]: settings }, () => {
+        if (callback) callback(settings);
+      });
+    });
+  }
+
+  /* remember that a form on a site is (true) or is not (false) a sign‑in form; null goes back to automatic
+     detection. form is the form part of the draft key (see getDraftLabel) */
+  function setLoginOverride(host, form, value, callback) {
+    load(current => {
+      const overrides = current.loginOverrides;
+      const forms = Object.assign({}, overrides[host]);
+      if (value === null) {
+        delete forms[form];
+      } else {
+        forms[form] = value;
+      }
+      overrides[host] = forms;
+      if (!Object.keys(forms).length) delete overrides[host];
+      update({ loginOverrides: overrides }, callback);
+    });
+  }
+
+  /* bring a draft entry to the current shape, or return null if it is not a draft; the first releases stored the
+     field values themselves */
+  function upgradeEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return null;
+    if (entry.encrypted || (entry.data && typeof entry.data === 'object')) return entry;
+    return { data: entry, timestamp: Date.now() };
+  }
+
+  return {
+    SCHEMA_VERSION,
+    SETTINGS_KEY,
+    META_KEY,
+    ENCRYPTION_KEY,
+    OPEN_TABS_KEY,
+    CLOSED_TABS_KEY,
+    DEFAULTS,
+    isDraftKey,
+    toDraftKey,
+    toPageKey,
+    getDraftUrl,
+    getDraftLabel,
+    validate,
+    load,
+    update,
+    setLoginOverride,
+    upgradeEntry
+  };
+})();